@@ -0,0 +1,531 @@
+/* This file is part of AgentMaps which is released under the Simplified BSD License. */
+
+/* The ActivityPlan class, for having agents travel from place to place and spend a certain time at each. */
+
+let Agent = require("./agents").Agent;
+
+let early_policies = ["wait", "start"],
+  late_policies = ["shorten", "extend", "skip"];
+
+/**
+ * An entry in an {@link ActivityPlan}: a place to go to, and when to be there.<br/><br/>
+ *
+ * Times can be given as a time of day (like "09:00"), a Date, or a tick. A time of day means the first time the clock reads it
+ * at or after the times in the plan before it, so that a plan's times are always in order (e.g. a night shift can start at "22:00" and end at "06:00").
+ *
+ * @typedef {object} Activity
+ * @property {Place|number|function} place - Where the activity happens: a place, the ID of a unit, or a function that is given the agent
+ * (and is bound to it) and returns either of those, like <code>agent => agent.home_id</code>.
+ * @property {LatLng|function} [lat_lng] - The point in the place to travel to, or a function that is given the agent and returns one.
+ * The center of the unit by default; required if the place isn't a unit.
+ * @property {string} [type] - What kind of activity it is, like "home", "work", or "shopping".
+ * @property {string|Date|number} [start] - When the activity is supposed to start.
+ * @property {string|Date|number} [end] - When the activity ends.
+ * @property {number|string} [duration] - If the activity has no end, how long it lasts, as a number of seconds or a string like "8 h"; see {@link Clock#toTicks}.
+ * If it has neither, it lasts until the next activity's start, or right away if the next activity has no start.
+ * @property {number|string} [speed] - The speed to travel to the activity at, if not the plan's; see {@link Agent#setTravelToPlace}.
+ */
+
+/**
+ * An agent's progress through its {@link ActivityPlan}.
+ *
+ * @typedef {object} ActivityProgress
+ * @property {number} index - The index of the agent's current activity in the plan.
+ * @property {?string} type - The type of the current activity, if any.
+ * @property {string} status - "traveling" to the activity, "waiting" for it to start, doing it ("active"), or "done" with the whole plan.
+ * @property {Place} place - The place of the current activity.
+ * @property {boolean} departed - Whether the agent has set off for the current activity's place.
+ * @property {?number} start_tick - The tick the activity is supposed to start at, if it has a start.
+ * @property {?number} end_tick - The tick the activity ends at, if known yet.
+ * @property {number} anchor_tick - The latest time in the plan so far, from which its next times of day are counted.
+ */
+
+/**
+ * Fired when an agent starts an activity in its plan.
+ *
+ * @event Agent#activitystart
+ * @type {object}
+ * @property {Activity} activity - The activity.
+ * @property {number} index - The index of the activity in the plan.
+ * @property {boolean} late - Whether the agent arrived after the activity was supposed to start.
+ */
+
+/**
+ * Fired when an agent finishes an activity in its plan.
+ *
+ * @event Agent#activityend
+ * @type {object}
+ * @property {Activity} activity - The activity.
+ * @property {number} index - The index of the activity in the plan.
+ */
+
+/**
+ * Fired when an agent skips an activity in its plan, because it ended before the agent got there, because the agent's trip there
+ * ended somewhere else (e.g. it was reset, or the agent was turned away from a full unit), or because the agent arrived late and the plan's late policy is "skip".
+ *
+ * @event Agent#activityskip
+ * @type {object}
+ * @property {Activity} activity - The activity.
+ * @property {number} index - The index of the activity in the plan.
+ */
+
+/**
+ * Fired when an agent finishes the last activity of a plan that doesn't repeat.
+ *
+ * @event Agent#plancomplete
+ */
+
+/**
+ * A plan of activities for agents to do in order: for each, the agent travels to its place, waits for it to start if it's early,
+ * and stays there until it ends, and then goes on to the next. One plan can be shared by any number of agents; each agent's
+ * progress through it is kept in its activity property.<br/><br/>
+ *
+ * An agent's plan starts with its first activity the first time it's updated (or right away, if set with {@link Agent#setPlan}).
+ * On each tick, the agent's progress is updated before its behavior and controller. The agent is still moved along its trip
+ * by calling its moveIt method, as usual, from its controller; or, if the move option is true, right after its progress is updated instead
+ * (in which case neither its controller nor its behavior should also move it).
+ *
+ * @example
+ * let commute = L.A.activityPlan([
+ * 	{ place: agent => agent.home_id, type: "home", end: "08:00" },
+ * 	{ place: agent => agent.work_id, type: "work", start: "09:00", duration: "8 h" }
+ * ], { speed: "5 km/h", repeat: true });
+ *
+ * agentmap.agents.eachLayer(function (agent) {
+ * 	agent.setPlan(commute);
+ * 	agent.controller = function () {
+ * 		this.moveIt();
+ * 	};
+ * });
+ *
+ * @class ActivityPlan
+ * @param {Array<Activity>} activities - The activities, in order.
+ * @param {object} [options] - Options for the plan.
+ * @param {number|string} [options.speed=1] - The speed agents travel to each activity at, unless the activity has its own.
+ * @param {string} [options.early="wait"] - What an agent does when it arrives before an activity's start: "wait" to start
+ * the activity on time, or "start" to start it right away.
+ * @param {string} [options.late="shorten"] - What an agent does when it arrives after an activity's start: "shorten" to end the activity
+ * when it would have ended had the agent been on time, "extend" to do the whole activity anyway, or "skip" to go on to the next activity.
+ * An activity with an end always ends then.
+ * @param {boolean} [options.repeat=false] - Whether to start over from the first activity after the last one.
+ * @param {boolean} [options.move=false] - Whether to move the agents along their trips on each tick after updating their progress,
+ * so that their controllers don't need to.
+ * @property {Array<Activity>} activities - The activities, in order.
+ * @property {number|string} speed - The speed agents travel to each activity at, unless the activity has its own.
+ * @property {string} early - The policy for arriving before an activity's start.
+ * @property {string} late - The policy for arriving after an activity's start.
+ * @property {boolean} repeat - Whether the plan starts over after its last activity.
+ * @property {boolean} move - Whether the agents are moved along their trips on each tick.
+ */
+function ActivityPlan(activities, options = {}) {
+  if (!Array.isArray(activities) || activities.length === 0) {
+    throw new Error("An activity plan needs at least one activity!");
+  }
+
+  for (let activity of activities) {
+    if (typeof activity !== "object" || activity === null) {
+      throw new Error("Every activity must be an object!");
+    } else if (typeof activity.place === "undefined") {
+      throw new Error("Every activity must have a place!");
+    }
+  }
+
+  let early = typeof options.early === "undefined" ? "wait" : options.early,
+    late = typeof options.late === "undefined" ? "shorten" : options.late;
+
+  if (!early_policies.includes(early)) {
+    throw new Error('The early policy must be either "wait" or "start"!');
+  } else if (!late_policies.includes(late)) {
+    throw new Error(
+      'The late policy must be either "shorten", "extend", or "skip"!',
+    );
+  }
+
+  (this.activities = activities),
+    (this.speed = typeof options.speed === "undefined" ? 1 : options.speed),
+    (this.early = early),
+    (this.late = late),
+    (this.repeat = options.repeat === true),
+    (this.move = options.move === true);
+}
+
+/**
+ * Start an agent on the first activity of the plan.
+ *
+ * @param {Agent} agent - The agent whose plan should start.
+ */
+ActivityPlan.prototype.start = function (agent) {
+  this.begin(agent, 0, agent.agentmap.state.ticks || 0);
+};
+
+/**
+ * Update an agent's progress for the tick: start its plan if it hasn't started, go on to the next activity whenever
+ * the current one is over, and move the agent.
+ * @private
+ *
+ * @param {Agent} agent - The agent to update.
+ * @param {number} tick - The current tick.
+ */
+ActivityPlan.prototype.update = function (agent, tick) {
+  if (
+    agent.activity === null ||
+    typeof this.activities[agent.activity.index] === "undefined"
+  ) {
+    this.start(agent);
+  }
+
+  //Go through each activity at most once per tick, so that a plan of activities that take no time can't loop forever.
+  for (let i = 0; i <= this.activities.length; i++) {
+    if (!this.advance(agent, tick)) {
+      break;
+    }
+  }
+
+  if (this.move) {
+    agent.moveIt();
+  }
+};
+
+/**
+ * Move an agent's progress along if its current step is over.
+ * @private
+ *
+ * @param {Agent} agent - The agent.
+ * @param {number} tick - The current tick.
+ * @returns {boolean} - Whether the agent's progress changed, in which case its next step may already be over too.
+ */
+ActivityPlan.prototype.advance = function (agent, tick) {
+  let progress = agent.activity;
+
+  if (progress.status === "traveling") {
+    if (progress.end_tick !== null && tick >= progress.end_tick) {
+      if (agent.trip.path.length > 0) {
+        agent.resetTrip();
+      }
+
+      this.skip(agent);
+
+      return true;
+    } else if (agent.trip.path.length > 0) {
+      return false;
+    } else if (isAt(agent, progress.place)) {
+      this.arrive(agent, tick);
+
+      return true;
+    } else if (progress.departed) {
+      //The trip ended without getting there, so rather than setting off again on every tick (e.g. for a full unit), give up on the activity.
+      this.skip(agent);
+
+      return true;
+    } else {
+      this.travel(agent);
+
+      return false;
+    }
+  } else if (progress.status === "waiting") {
+    if (tick < progress.start_tick) {
+      return false;
+    }
+
+    this.startActivity(agent, tick);
+
+    return true;
+  } else if (progress.status === "active") {
+    if (progress.end_tick === null || tick < progress.end_tick) {
+      return false;
+    }
+
+    agent.fire(
+      "activityend",
+      { activity: this.activities[progress.index], index: progress.index },
+      true,
+    );
+    this.next(agent);
+
+    return true;
+  } else {
+    return false;
+  }
+};
+
+/**
+ * Set an agent's progress to the beginning of an activity, before it has traveled there.
+ * @private
+ *
+ * @param {Agent} agent - The agent.
+ * @param {number} index - The index of the activity.
+ * @param {number} anchor_tick - The latest time in the plan so far, from which the activity's times of day are counted.
+ */
+ActivityPlan.prototype.begin = function (agent, index, anchor_tick) {
+  let activity = this.activities[index],
+    clock = agent.agentmap.clock,
+    start_tick = toTick(clock, activity.start, anchor_tick);
+
+  if (start_tick !== null) {
+    anchor_tick = Math.max(anchor_tick, start_tick);
+  }
+
+  let end_tick = toTick(clock, activity.end, anchor_tick);
+
+  if (end_tick !== null) {
+    anchor_tick = Math.max(anchor_tick, end_tick);
+  }
+
+  agent.activity = {
+    index: index,
+    type: typeof activity.type === "undefined" ? null : activity.type,
+    status: "traveling",
+    place: getPlace(agent, activity),
+    departed: false,
+    start_tick: start_tick,
+    end_tick: end_tick,
+    anchor_tick: anchor_tick,
+  };
+};
+
+/**
+ * Have an agent travel to the place of its current activity.
+ * @private
+ *
+ * @param {Agent} agent - The agent.
+ */
+ActivityPlan.prototype.travel = function (agent) {
+  let progress = agent.activity,
+    activity = this.activities[progress.index],
+    lat_lng;
+
+  if (typeof activity.lat_lng === "function") {
+    lat_lng = activity.lat_lng.call(agent, agent);
+  } else if (typeof activity.lat_lng !== "undefined") {
+    lat_lng = activity.lat_lng;
+  } else if (progress.place.type === "unit") {
+    lat_lng = agent.agentmap.getUnitPoint(progress.place.id, 0.5, 0.5);
+  } else {
+    throw new Error("An activity whose place isn't a unit needs a lat_lng!");
+  }
+
+  progress.departed = true;
+
+  agent.setTravelToPlace(
+    lat_lng,
+    { type: progress.place.type, id: progress.place.id },
+    typeof activity.speed === "undefined" ? this.speed : activity.speed,
+  );
+};
+
+/**
+ * Have an agent that has just arrived at its current activity's place start it, wait for it, or skip it, according to the plan's policies.
+ * @private
+ *
+ * @param {Agent} agent - The agent.
+ * @param {number} tick - The current tick.
+ */
+ActivityPlan.prototype.arrive = function (agent, tick) {
+  let progress = agent.activity;
+
+  if (progress.start_tick !== null && tick > progress.start_tick) {
+    if (this.late === "skip") {
+      this.skip(agent);
+    } else {
+      this.startActivity(agent, tick);
+    }
+  } else if (
+    progress.start_tick !== null &&
+    tick < progress.start_tick &&
+    this.early === "wait"
+  ) {
+    progress.status = "waiting";
+  } else {
+    this.startActivity(agent, tick);
+  }
+};
+
+/**
+ * Have an agent start its current activity, and figure out when it will end.
+ * @private
+ *
+ * @param {Agent} agent - The agent.
+ * @param {number} tick - The current tick.
+ * @fires Agent#activitystart
+ */
+ActivityPlan.prototype.startActivity = function (agent, tick) {
+  let progress = agent.activity,
+    activity = this.activities[progress.index],
+    late = progress.start_tick !== null && tick > progress.start_tick;
+
+  if (progress.end_tick === null) {
+    if (typeof activity.duration !== "undefined") {
+      let start_tick =
+        late && this.late === "shorten" ? progress.start_tick : tick;
+      progress.end_tick =
+        start_tick + agent.agentmap.clock.toTicks(activity.duration);
+    } else {
+      progress.end_tick = this.getNextStartTick(agent);
+    }
+  }
+
+  progress.status = "active";
+
+  agent.fire(
+    "activitystart",
+    { activity: activity, index: progress.index, late: late },
+    true,
+  );
+};
+
+/**
+ * Have an agent skip its current activity.
+ * @private
+ *
+ * @param {Agent} agent - The agent.
+ * @fires Agent#activityskip
+ */
+ActivityPlan.prototype.skip = function (agent) {
+  let progress = agent.activity;
+
+  agent.fire(
+    "activityskip",
+    { activity: this.activities[progress.index], index: progress.index },
+    true,
+  );
+  this.next(agent);
+};
+
+/**
+ * Have an agent go on to the next activity, starting over or finishing if it was the last one.
+ * @private
+ *
+ * @param {Agent} agent - The agent.
+ * @fires Agent#plancomplete
+ */
+ActivityPlan.prototype.next = function (agent) {
+  let progress = agent.activity,
+    index = progress.index + 1;
+
+  if (index < this.activities.length) {
+    this.begin(agent, index, progress.anchor_tick);
+  } else if (this.repeat) {
+    this.begin(agent, 0, progress.anchor_tick);
+  } else {
+    progress.status = "done";
+    agent.fire("plancomplete", {}, true);
+  }
+};
+
+/**
+ * Get the tick at which the activity after an agent's current one starts.
+ * @private
+ *
+ * @param {Agent} agent - The agent.
+ * @returns {?number} - The tick, the current tick if the next activity has no start, or null if there is no next activity.
+ */
+ActivityPlan.prototype.getNextStartTick = function (agent) {
+  let progress = agent.activity,
+    index = progress.index + 1;
+
+  if (index === this.activities.length) {
+    if (!this.repeat) {
+      return null;
+    }
+
+    index = 0;
+  }
+
+  let start_tick = toTick(
+    agent.agentmap.clock,
+    this.activities[index].start,
+    progress.anchor_tick,
+  );
+
+  return start_tick === null ? agent.agentmap.state.ticks || 0 : start_tick;
+};
+
+/**
+ * Convert a time in a plan into a tick.
+ * @private
+ *
+ * @param {Clock} clock - The clock of the agentmap.
+ * @param {string|Date|number} [time] - A time of day, a Date, or a tick.
+ * @param {number} anchor_tick - The tick from which a time of day is counted.
+ * @returns {?number} - The tick, or null if no time was given.
+ */
+function toTick(clock, time, anchor_tick) {
+  if (typeof time === "undefined" || time === null) {
+    return null;
+  } else if (typeof time === "number") {
+    return time;
+  } else if (typeof time === "string" && /^\d{1,2}:\d{2}/.test(time)) {
+    return clock.nextTickAt(time, anchor_tick);
+  } else {
+    return clock.tickAt(time);
+  }
+}
+
+/**
+ * Get the place of an activity for an agent.
+ * @private
+ *
+ * @param {Agent} agent - The agent.
+ * @param {Activity} activity - The activity.
+ * @returns {Place} - The place.
+ */
+function getPlace(agent, activity) {
+  let place =
+    typeof activity.place === "function"
+      ? activity.place.call(agent, agent)
+      : activity.place;
+
+  if (typeof place === "number") {
+    return { type: "unit", id: place };
+  } else if (typeof place === "object" && place !== null) {
+    return { type: place.type, id: place.id };
+  } else {
+    throw new Error("An activity's place must be a place or the ID of a unit!");
+  }
+}
+
+/**
+ * Check whether an agent is at a place.
+ * @private
+ *
+ * @param {Agent} agent - The agent.
+ * @param {Place} place - The place.
+ * @returns {boolean} - Whether the agent is there.
+ */
+function isAt(agent, place) {
+  return (
+    agent.place !== null &&
+    agent.place.type === place.type &&
+    agent.place.id === place.id
+  );
+}
+
+/**
+ * Returns a plan of activities for agents.
+ *
+ * @param {Array<Activity>} activities - The activities, in order.
+ * @param {object} [options] - Options for the plan; see {@link ActivityPlan}.
+ * @returns {ActivityPlan} - An ActivityPlan instance, which can be given to agents with {@link Agent#setPlan}.
+ */
+function activityPlan(activities, options) {
+  return new ActivityPlan(activities, options);
+}
+
+/**
+ * Give the agent a plan of activities and start it on the first one right away.
+ * @memberof Agent
+ * @instance
+ *
+ * @param {?ActivityPlan} plan - The agent's new plan, or null for none.
+ */
+function setPlan(plan) {
+  (this.plan = plan), (this.activity = null);
+
+  if (plan !== null) {
+    plan.start(this);
+  }
+}
+
+Agent.prototype.setPlan = setPlan;
+
+(exports.ActivityPlan = ActivityPlan), (exports.activityPlan = activityPlan);
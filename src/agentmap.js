@@ -3,15 +3,29 @@
 /* The Agentmap class, which turns a Leaflet map into a simulation platform. */
 
 let lineSlice = require("@turf/line-slice").default,
-  length = require("@turf/length").default;
+  length = require("@turf/length").default,
+  Clock = require("./clock").Clock,
+  Scheduler = require("./scheduler").Scheduler;
+
+//The orders in which the agents' controllers can be called each tick.
+let activations = ["sequential", "random", "simultaneous"],
+  full_unit_policies = ["reject", "queue", "redirect"];
 
 /**
  * The main class for building, storing, simulating, and manipulating agent-based models on Leaflet maps.
  *
  * @class Agentmap
- * @param {object} map - A Leaflet Map instance.
+ * @param {?object} map - A Leaflet Map instance, or null to run the simulation headlessly (e.g. in Node or a Web Worker) without drawing anything.
  * @param {number} [animation_interval=1] - The number of steps agents must move before being redrawn. Given 1, they will be redrawn after every step. Given 0, the animation will not update at all. 1 by default. Must be a nonnegative integer.
- * @property {object} map - A Leaflet Map instance.
+ * @param {object} [options] - Additional options for the simulation.
+ * @param {number} [options.seed] - An integer to seed the agentmap's random number generator with, so that runs can be reproduced. If not given, one will be picked at random.
+ * @param {object} [options.clock] - Options for the agentmap's clock, namely how many simulated seconds pass each tick and the simulated time at which the simulation starts. See {@link Clock}.
+ * @param {number} [options.ticks_per_frame=1] - The number of ticks to advance the simulation by on each animation frame while running. See {@link Agentmap#setTicksPerFrame}.
+ * @param {boolean} [options.turbo=false] - Whether to run as many ticks as fit in the frame budget on each animation frame, instead of ticks_per_frame. See {@link Agentmap#setTurbo}.
+ * @param {number} [options.frame_budget=12] - In turbo mode, the number of milliseconds to spend running ticks on each animation frame.
+ * @param {string} [options.activation="sequential"] - The order in which the agents' controllers are called each tick. See {@link Agentmap#setActivation}.
+ * @param {string} [options.full_unit_policy="reject"] - What agents do when they get to a unit that's full. See {@link Agentmap#setFullUnitPolicy}.
+ * @property {?object} map - A Leaflet Map instance, or null if the simulation is running headlessly.
  * @property {FeatureGroup} agents - A featureGroup containing all agents.
  * @property {FeatureGroup} units - A featureGroup containing all units.
  * @property {FeatureGroup} streets - A featureGroup containing all streets.
@@ -20,12 +34,57 @@ let lineSlice = require("@turf/line-slice").default,
  * @property {boolean} state.paused - Whether the simulation is paused.
  * @property {?number} state.animation_frame_id - The id of the agentmap's update function in the queue of functions to call for the coming animation frame.
  * @property {?number} state.ticks - The number of ticks elapsed since the start of the simulation.
+ * @property {number} state.seed - The seed the agentmap's random number generator was started with.
+ * @property {number} state.random_state - The current internal state of the agentmap's random number generator.
+ * @property {boolean} state.batching - Whether the agents' redraws are being put off until the end of the current animation frame, because it runs more than one tick.
+ * @property {?Array<Agent>} state.deferred_moves - While the agents' controllers are being called in simultaneous activation, the agents whose
+ * moves have been put off until the end of the tick; otherwise null.
+ * @property {?Set<Agent>} state.pending_removals - While a tick is being updated, the agents that will be removed at the end of the tick; otherwise null.
+ * @property {Array<object>} state.pending_messages - The messages sent during the current tick, with their recipients, waiting to be delivered at the start of the next.
+ * @property {Array<Agent>} state.message_recipients - The agents whose inboxes got messages at the start of the current tick.
+ * @property {number} state.agents_spawned - The number of agents that have been added to the agentmap, including any that were later removed.
  * @property {number} animation_interval - The number of steps agents must move before being redrawn. Given 1, they will be redrawn after every step. Given 0, the animation will not update at all. 1 by default. Will be a nonnegative integer.
+ * @property {number} ticks_per_frame - The number of ticks the simulation advances by on each animation frame while running.
+ * @property {boolean} turbo - Whether the simulation runs as many ticks as fit in the frame budget on each animation frame, instead of ticks_per_frame.
+ * @property {number} frame_budget - In turbo mode, the number of milliseconds spent running ticks on each animation frame.
+ * @property {string} activation - The order in which the agents' controllers are called each tick: "sequential", "random", or "simultaneous".
+ * @property {string} full_unit_policy - What agents do when they get to a unit that's full: "reject", "queue", or "redirect".
+ * @property {Clock} clock - The clock that maps the simulation's ticks to simulated dates & times.
+ * @property {Scheduler} scheduler - The queue of callbacks scheduled to be called at particular ticks.
+ * @property {?Profiler} profiler - The profiler timing each tick, if the simulation is being profiled; see {@link Agentmap#profile}.
+ * @property {?SpatialIndex} agent_index - The index of where the agents are, once it's been started; see {@link Agentmap#indexAgents}.
+ * @property {?SocialNetwork} social_network - The network of ties between the agents, once it's been made; see {@link Agentmap#getSocialNetwork}.
+ * @property {object} agent_types - An object mapping the names of the types of agents defined with {@link Agentmap#defineAgentType} to their classes.
  * @property {?function} controller - User-defined function to be called on each update.
+ * @fires Agentmap#tickstart
+ * @fires Agentmap#tickend
+ * @fires Agentmap#run
+ * @fires Agentmap#pause
+ * @fires Agentmap#clear
+ * @fires Agentmap#agentadd
+ * @fires Agentmap#agentremove
  */
-Agentmap = function (map, animation_interval = 1) {
+Agentmap = function (map, animation_interval = 1, options = {}) {
   Agentmap.checkAnimIntervalOption(animation_interval);
 
+  let activation =
+    typeof options.activation === "undefined"
+      ? "sequential"
+      : options.activation;
+  Agentmap.checkActivationOption(activation);
+
+  let full_unit_policy =
+    typeof options.full_unit_policy === "undefined"
+      ? "reject"
+      : options.full_unit_policy;
+  Agentmap.checkFullUnitPolicyOption(full_unit_policy);
+
+  let ticks_per_frame =
+    typeof options.ticks_per_frame === "undefined"
+      ? 1
+      : options.ticks_per_frame;
+  Agentmap.checkTicksPerFrameOption(ticks_per_frame);
+
   (this.map = map),
     (this.units = null),
     (this.streets = null),
@@ -36,9 +95,99 @@ Agentmap = function (map, animation_interval = 1) {
       paused: false,
       animation_frame_id: null,
       ticks: null,
+      seed: null,
+      random_state: null,
+      batching: false,
+      deferred_moves: null,
+      pending_removals: null,
+      pending_messages: [],
+      message_recipients: [],
+      agents_spawned: 0,
     }),
     (this.controller = function () {}),
-    (this.animation_interval = animation_interval);
+    (this.animation_interval = animation_interval),
+    (this.ticks_per_frame = ticks_per_frame),
+    (this.turbo = false),
+    (this.frame_budget = 12),
+    (this.activation = activation),
+    (this.full_unit_policy = full_unit_policy),
+    (this.clock = new Clock(this, options.clock)),
+    (this.scheduler = new Scheduler()),
+    (this.profiler = null),
+    (this.agent_index = null),
+    (this.social_network = null),
+    (this.agent_types = {});
+
+  this.setSeed(options.seed);
+  this.setTurbo(options.turbo === true, options.frame_budget);
+};
+
+//Let the agentmap fire events and have listeners attached to it, like any Leaflet layer (on, off, once, fire, etc.).
+L.Util.extend(Agentmap.prototype, L.Evented.prototype);
+
+/**
+ * Fired at the start of each tick, before any controllers are called.
+ *
+ * @event Agentmap#tickstart
+ * @type {object}
+ * @property {number} tick - The tick that is starting.
+ */
+
+/**
+ * Fired at the end of each tick, after all the controllers have been called.
+ *
+ * @event Agentmap#tickend
+ * @type {object}
+ * @property {number} tick - The tick that is ending.
+ */
+
+/**
+ * Fired when the simulation starts running on animation frames.
+ *
+ * @event Agentmap#run
+ */
+
+/**
+ * Fired when the simulation is paused.
+ *
+ * @event Agentmap#pause
+ */
+
+/**
+ * Fired when the simulation is cleared.
+ *
+ * @event Agentmap#clear
+ */
+
+/**
+ * Fired when an agent is added to the agentmap.
+ *
+ * @event Agentmap#agentadd
+ * @type {object}
+ * @property {Agent} agent - The agent that was added.
+ */
+
+/**
+ * Fired when an agent is removed from the agentmap.
+ *
+ * @event Agentmap#agentremove
+ * @type {object}
+ * @property {Agent} agent - The agent that was removed.
+ */
+
+/**
+ * Add a layer to the agentmap's map, unless it's running headlessly without one.
+ * @private
+ *
+ * @param {object} layer - A Leaflet layer.
+ * @returns {object} - The same layer.
+ */
+Agentmap.prototype.addToMap = function (layer) {
+  if (this.map !== null) {
+    layer.addTo(this.map);
+  }
+
+  return layer;
 };
 
 /**
@@ -51,7 +200,62 @@ Agentmap.prototype.setAnimationInterval = function (animation_interval) {
 
   this.animation_interval = animation_interval;
 
-  this.agents.eachLayer((agent) => agent.setLatLng(agent._latlng));
+  this.redraw();
+};
+
+/**
+ * Redraw every agent at its current position.
+ * @private
+ */
+Agentmap.prototype.redraw = function () {
+  if (this.agents !== null) {
+    this.agents.eachLayer((agent) => agent.setLatLng(agent._latlng));
+  }
+};
+
+/**
+ * Change the number of ticks the simulation advances by on each animation frame while running.
+ * Running more than one tick per frame lets the simulation go faster than the display refreshes;
+ * the agents are only redrawn at the end of each frame.
+ *
+ * @param {number} ticks_per_frame - The number of ticks per animation frame. Must be a positive integer.
+ */
+Agentmap.prototype.setTicksPerFrame = function (ticks_per_frame) {
+  Agentmap.checkTicksPerFrameOption(ticks_per_frame);
+
+  this.ticks_per_frame = ticks_per_frame;
+};
+
+/**
+ * Check whether the ticks per frame option provided is valid.
+ * @private
+ *
+ * @param {number} ticks_per_frame - An input specifying a number of ticks per animation frame.
+ */
+Agentmap.checkTicksPerFrameOption = function (ticks_per_frame) {
+  if (!(Number.isInteger(ticks_per_frame) && ticks_per_frame > 0)) {
+    throw new Error("The ticks_per_frame must be a positive integer!");
+  }
+};
+
+/**
+ * Turn turbo mode on or off. In turbo mode, instead of running ticks_per_frame ticks on each animation frame,
+ * the simulation runs as many ticks as it can until the frame budget is spent (and at least one), then redraws the agents.
+ *
+ * @param {boolean} turbo - Whether turbo mode should be on.
+ * @param {number} [frame_budget] - The number of milliseconds to spend running ticks on each animation frame. Must be positive.
+ * Stays the same if not given.
+ */
+Agentmap.prototype.setTurbo = function (turbo, frame_budget) {
+  if (typeof frame_budget !== "undefined") {
+    if (!(typeof frame_budget === "number" && frame_budget > 0)) {
+      throw new Error("The frame_budget must be a positive number!");
+    }
+
+    this.frame_budget = frame_budget;
+  }
+
+  this.turbo = turbo;
 };
 
 /**
@@ -66,8 +270,71 @@ Agentmap.checkAnimIntervalOption = function (animation_interval) {
   }
 };
 
+/**
+ * Change the order in which the agents' controllers are called each tick.<br/><br/>
+ *
+ * In "sequential" activation, the agents act one after another in the order they were added, so that each one sees the changes
+ * made by those before it in the same tick. In "random" activation, they also act one after another, but in a new order each tick,
+ * shuffled with the agentmap's random number generator. In "simultaneous" activation, they act in the order they were added, but every
+ * agent sees the simulation as it was at the start of the tick: changes made with {@link Agent#stage} and moves made with {@link Agent#moveIt}
+ * are held until all the controllers have been called, and are then applied together before the tick ends.
+ *
+ * @param {string} activation - Either "sequential", "random", or "simultaneous".
+ */
+Agentmap.prototype.setActivation = function (activation) {
+  Agentmap.checkActivationOption(activation);
+
+  this.activation = activation;
+};
+
+/**
+ * Check whether the activation option provided is valid.
+ * @private
+ *
+ * @param {string} activation - An input specifying an activation scheme.
+ */
+Agentmap.checkActivationOption = function (activation) {
+  if (!activations.includes(activation)) {
+    throw new Error(
+      'The activation must be either "sequential", "random", or "simultaneous"!',
+    );
+  }
+};
+
+/**
+ * Change what agents do when they get to the door of a unit they're traveling into and it's full,
+ * i.e. it has as many occupants as its capacity.<br/><br/>
+ *
+ * Under the "reject" policy, the agent's trip is reset, leaving it outside on the street. Under the "queue" policy, the agent waits
+ * at the door until there's room, letting the agents that got there before it in first. Under the "redirect" policy, the agent
+ * travels to the nearest other unit with room instead (or, if there isn't one, its trip is reset). In each case, the agent fires
+ * a unitfull event.
+ *
+ * @param {string} full_unit_policy - Either "reject", "queue", or "redirect".
+ */
+Agentmap.prototype.setFullUnitPolicy = function (full_unit_policy) {
+  Agentmap.checkFullUnitPolicyOption(full_unit_policy);
+
+  this.full_unit_policy = full_unit_policy;
+};
+
+/**
+ * Check whether the full unit policy provided is valid.
+ * @private
+ *
+ * @param {string} full_unit_policy - An input specifying a full unit policy.
+ */
+Agentmap.checkFullUnitPolicyOption = function (full_unit_policy) {
+  if (!full_unit_policies.includes(full_unit_policy)) {
+    throw new Error(
+      'The full unit policy must be either "reject", "queue", or "redirect"!',
+    );
+  }
+};
+
 /**
  * Get an animation frame, have the agents update & get ready to be drawn, and keep doing that until paused or reset.
+ * Advances the simulation by ticks_per_frame ticks on each animation frame, or in turbo mode, by as many ticks as fit in the frame budget.
  */
 Agentmap.prototype.run = function () {
   if (this.state.running === false) {
@@ -78,11 +345,84 @@ Agentmap.prototype.run = function () {
         this.state.paused = false;
       }
       this.state.animation_frame_id = L.Util.requestAnimFrame(animation_update);
-      this.update();
+      this.runFrame();
     }.bind(this);
 
     this.state.animation_frame_id = L.Util.requestAnimFrame(animation_update);
+
+    this.fire("run");
+  }
+};
+
+/**
+ * Run the ticks for one animation frame, putting off redrawing the agents until the end if there's more than one.
+ * @private
+ */
+Agentmap.prototype.runFrame = function () {
+  let frame_start = L.A.now(),
+    ticks = 0;
+
+  this.state.batching = this.turbo || this.ticks_per_frame > 1;
+
+  try {
+    do {
+      this.update();
+      ticks++;
+    } while (
+      this.state.running &&
+      (this.turbo
+        ? L.A.now() - frame_start < this.frame_budget
+        : ticks < this.ticks_per_frame)
+    );
+  } finally {
+    if (this.state.batching) {
+      this.state.batching = false;
+
+      if (this.animation_interval > 0) {
+        this.redraw();
+      }
+    }
+  }
+};
+
+/**
+ * Advance the simulation by some number of ticks right away, without waiting for any animation frames.
+ * Useful for running a simulation headlessly, like in tests, in Node, or in batch experiments.
+ *
+ * @param {number} [n=1] - The number of ticks to advance the simulation by. Must be a nonnegative integer.
+ * @returns {number} - The number of ticks elapsed since the start of the simulation.
+ */
+Agentmap.prototype.step = function (n = 1) {
+  if (!Number.isInteger(n) || n < 0) {
+    throw new Error(
+      "The number of ticks to step must be a non-negative integer!",
+    );
+  }
+
+  for (let i = 0; i < n; i++) {
+    this.update();
   }
+
+  return this.state.ticks;
+};
+
+/**
+ * Keep advancing the simulation right away, tick by tick, until some condition is met.
+ *
+ * @param {function} predicate - A function that is given the agentmap before each tick and returns whether the simulation should stop.
+ * @param {number} [max_ticks=Infinity] - The most ticks to advance the simulation by before giving up, in case the condition is never met.
+ * @returns {boolean} - Whether the condition was met (false if max_ticks were elapsed first).
+ */
+Agentmap.prototype.runUntil = function (predicate, max_ticks = Infinity) {
+  for (let i = 0; !predicate.call(this, this); i++) {
+    if (i >= max_ticks) {
+      return false;
+    }
+
+    this.update();
+  }
+
+  return true;
 };
 
 /**
@@ -94,19 +434,164 @@ Agentmap.prototype.update = function () {
     this.state.ticks = 0;
   }
 
+  let profiler = this.profiler;
+  if (profiler !== null) {
+    profiler.startTick(this.state.ticks);
+  }
+
+  //Agents removed during the tick are only taken off the agentmap once it's over.
+  this.state.pending_removals = new Set();
+
+  //Deliver the messages the agents sent each other during the last tick.
+  this.deliverMessages();
+
+  this.fire("tickstart", { tick: this.state.ticks });
+
+  //Call the callbacks scheduled for this tick.
+  this.scheduler.dispatch(this.state.ticks);
+
   //Execute user-provided per-tick instructions for the agentmap.
-  this.controller();
+  if (profiler !== null) {
+    profiler.enter("controller");
+  }
+
+  try {
+    this.controller();
+  } finally {
+    if (profiler !== null) {
+      profiler.exit();
+    }
+  }
+
+  //Execute user-provided per-tick instructions for each agent, in the order given by the activation scheme.
+  if (this.agents !== null) {
+    let agents = this.agents.getLayers();
+
+    if (profiler !== null) {
+      profiler.enter("agent_controllers");
+    }
+
+    try {
+      if (this.activation === "random") {
+        this.shuffle(agents);
+      } else if (this.activation === "simultaneous") {
+        this.state.deferred_moves = [];
+      }
+
+      for (let agent of agents) {
+        if (!this.state.pending_removals.has(agent)) {
+          if (agent.plan !== null) {
+            agent.plan.update(agent, this.state.ticks);
+          }
+
+          if (agent.behavior !== null) {
+            agent.behavior.update(agent, this.state.ticks);
+          }
+
+          agent.controller();
+        }
+      }
+
+      if (this.activation === "simultaneous") {
+        this.commit();
+      }
+    } finally {
+      if (profiler !== null) {
+        profiler.exit();
+      }
+    }
+  }
+
+  let pending_removals = this.state.pending_removals;
+  this.state.pending_removals = null;
+
+  for (let agent of pending_removals) {
+    this.removeAgent(agent);
+  }
+
+  this.fire("tickend", { tick: this.state.ticks });
+
+  if (profiler !== null) {
+    profiler.endTick();
+  }
+
+  this.state.ticks += 1;
+};
+
+/**
+ * Apply the changes the agents staged and make the moves they put off while their controllers were being called in simultaneous activation.
+ * @private
+ */
+Agentmap.prototype.commit = function () {
+  let deferred_moves = this.state.deferred_moves;
+  this.state.deferred_moves = null;
 
-  //Execute user-provided per-tick instructions for each agent.
   this.agents.eachLayer(function (agent) {
-    agent.controller();
+    agent.commit();
   });
 
-  this.state.ticks += 1;
+  for (let agent of deferred_moves) {
+    if (!this.state.pending_removals.has(agent)) {
+      agent.moveIt();
+    }
+  }
+};
+
+/**
+ * Schedule a callback to be called at the start of some tick, before the controllers are called.
+ * If that tick has already passed, the callback will be called at the start of the next tick.
+ *
+ * @param {number|Date|string} tick_or_time - Either the tick at which to call the callback; a time of day like "08:00",
+ * for its next occurrence on the agentmap's clock; or a simulated date & time, as a Date or anything the Date constructor accepts.
+ * @param {function} callback - The function to call. It will be bound to the agentmap and given the tick it is called at.
+ * @returns {ScheduledEvent} - The scheduled event, which can be cancelled with its cancel method.
+ */
+Agentmap.prototype.schedule = function (tick_or_time, callback) {
+  return this.scheduler.add(this.toTick(tick_or_time), callback, this);
+};
+
+/**
+ * Schedule a callback to be called repeatedly, every so many ticks, at the start of the tick before the controllers are called.
+ *
+ * @param {number} interval - The number of ticks between calls. Must be a positive integer.
+ * @param {function} callback - The function to call. It will be bound to the agentmap and given the tick it is called at.
+ * @param {number|Date|string} [start] - When to call the callback first, in any form accepted by {@link Agentmap#schedule}.
+ * One interval from the current tick by default.
+ * @returns {ScheduledEvent} - The scheduled event, which can be cancelled with its cancel method.
+ */
+Agentmap.prototype.scheduleRepeating = function (interval, callback, start) {
+  let first_tick =
+    typeof start === "undefined"
+      ? (this.state.ticks || 0) + interval
+      : this.toTick(start);
+
+  return this.scheduler.add(first_tick, callback, this, interval);
+};
+
+/**
+ * Convert a tick, a time of day, or a simulated date & time into a tick.
+ * @private
+ *
+ * @param {number|Date|string} tick_or_time - Either a tick; a time of day like "08:00", for its next occurrence on the agentmap's clock;
+ * or a simulated date & time, as a Date or anything the Date constructor accepts.
+ * @returns {number} - The corresponding tick.
+ */
+Agentmap.prototype.toTick = function (tick_or_time) {
+  if (typeof tick_or_time === "number") {
+    return tick_or_time;
+  } else if (
+    typeof tick_or_time === "string" &&
+    /^\d{1,2}:\d{2}(:\d{2})?$/.test(tick_or_time)
+  ) {
+    return this.clock.nextTickAt(tick_or_time);
+  } else {
+    return this.clock.tickAt(tick_or_time);
+  }
 };
 
 /**
- * Stop the animation, reset the animation state properties, and delete the features.
+ * Stop the animation, reset the animation state properties & random number generator, and delete the features,
+ * along with the scheduled callbacks, the index of agents, the social network, and the profiler's records.
  */
 Agentmap.prototype.clear = function () {
   L.Util.cancelAnimFrame(this.state.animation_frame_id);
@@ -114,9 +599,29 @@ Agentmap.prototype.clear = function () {
     (this.state.paused = false),
     (this.state.animation_frame_id = null),
     (this.state.ticks = null),
-    this.agents.clearLayers();
+    (this.state.deferred_moves = null),
+    (this.state.pending_removals = null),
+    (this.state.pending_messages = []),
+    (this.state.message_recipients = []),
+    (this.state.agents_spawned = 0),
+    this.setSeed(this.state.seed);
+  this.scheduler.clear();
+
+  if (this.agent_index !== null) {
+    this.agent_index.clear();
+  }
+  if (this.social_network !== null) {
+    this.social_network.clear();
+  }
+  if (this.profiler !== null) {
+    this.profiler.reset();
+  }
+
+  this.agents.clearLayers();
   this.streets.clearLayers();
   this.units.clearLayers();
+
+  this.fire("clear");
 };
 
 /**
@@ -125,6 +630,24 @@ Agentmap.prototype.clear = function () {
 Agentmap.prototype.pause = function () {
   L.Util.cancelAnimFrame(this.state.animation_frame_id);
   (this.state.running = false), (this.state.paused = true);
+
+  this.fire("pause");
+};
+
+/**
+ * Restart the agentmap's random number generator from a seed.
+ *
+ * @param {number} [seed] - An integer to seed the generator with. If not given, one will be picked at random.
+ * Either way, it will be recorded in the agentmap's state.seed.
+ */
+Agentmap.prototype.setSeed = function (seed) {
+  if (typeof seed === "undefined" || seed === null) {
+    seed = Math.floor(Math.random() * 4294967296);
+  } else if (!Number.isInteger(seed)) {
+    throw new Error("The seed must be an integer!");
+  }
+
+  (this.state.seed = seed), (this.state.random_state = seed | 0);
 };
 
 /**
@@ -184,28 +707,66 @@ Agentmap.prototype.getUnitPoint = function (unit_id, x, y) {
     unit_corners = unit.getLatLngs()[0],
     front_right = unit_corners[0],
     front_left = unit_corners[1],
-    back_right = unit_corners[3],
-    front_length = front_left.lng - front_right.lng,
-    side_length = back_right.lng - front_right.lng,
-    front_slope =
-      (front_right.lat - front_left.lat) / (front_right.lng - front_left.lng),
-    side_slope =
-      (front_right.lat - back_right.lat) / (front_right.lng - back_right.lng);
+    back_right = unit_corners[3];
 
   //Get the coordinate of the position along the front (x) axis.
-  let lng_along_front = front_right.lng + front_length * x,
-    lat_along_front = front_right.lat + front_length * x * front_slope,
+  //Interpolating the latitude and longitude separately, rather than along a slope, so that units
+  //whose fronts or sides run exactly north-south work too.
+  let lng_along_front =
+      front_right.lng + (front_left.lng - front_right.lng) * x,
+    lat_along_front = front_right.lat + (front_left.lat - front_right.lat) * x,
     point_along_front = L.latLng(lat_along_front, lng_along_front);
 
   //From the position on the front axis, get the coordinate of a position along a line perpendicular to the front and
   //parallel to the side (y) axis.
-  let lng_along_side = point_along_front.lng + side_length * y,
-    lat_along_side = point_along_front.lat + side_length * y * side_slope,
+  let lng_along_side =
+      point_along_front.lng + (back_right.lng - front_right.lng) * y,
+    lat_along_side =
+      point_along_front.lat + (back_right.lat - front_right.lat) * y,
     point_in_depth = L.latLng(lat_along_side, lng_along_side);
 
   return point_in_depth;
 };
 
+/**
+ * Find the unit nearest to a point that has room for some more agents, i.e. can take them without going over its capacity and has no agents waiting to get in.
+ *
+ * @param {LatLng} lat_lng - The point to search from.
+ * @param {?number} [excluded_id=null] - The ID of a unit to leave out of the search, like the one an agent was just turned away from.
+ * @param {number} [room=1] - The number of agents the unit needs room for, like the members of a convoy.
+ * @returns {?number} - The ID of the nearest unit with room, or null if every unit is full.
+ */
+Agentmap.prototype.nearestUnitWithRoom = function (
+  lat_lng,
+  excluded_id = null,
+  room = 1,
+) {
+  lat_lng = L.latLng(lat_lng);
+
+  let nearest_id = null,
+    nearest_distance = Infinity;
+
+  this.units.eachLayer(function (unit) {
+    let unit_id = this.units.getLayerId(unit);
+
+    if (
+      unit_id === excluded_id ||
+      unit.occupants.size + room > unit.capacity ||
+      unit.queue.length > 0
+    ) {
+      return;
+    }
+
+    let distance = this.getUnitPoint(unit_id, 0.5, 0.5).distanceTo(lat_lng);
+
+    if (distance < nearest_distance) {
+      (nearest_id = unit_id), (nearest_distance = distance);
+    }
+  }, this);
+
+  return nearest_id;
+};
+
 /**
  * Given a point on a street, find the nearest intersection on that street (with any other street).
  *
@@ -262,18 +823,9 @@ Agentmap.prototype.getNearestIntersection = function (lat_lng, place) {
 Agentmap.prototype.downloadUnits = function () {
   let file_content = "var units_data = ",
     units_json = this.units.toGeoJSON(20);
-  (file_content += JSON.stringify(units_json)),
-    (file = new Blob([file_content]));
-
-  var element = document.createElement("a");
-  element.setAttribute("href", URL.createObjectURL(file)),
-    element.setAttribute("download", "units_data.js"),
-    (element.style.display = "none");
-  document.body.appendChild(element);
+  file_content += JSON.stringify(units_json);
 
-  element.click();
-
-  document.body.removeChild(element);
+  L.A.downloadFile("units_data.js", file_content);
 };
 
 /**
@@ -284,18 +836,9 @@ Agentmap.prototype.downloadUnits = function () {
 Agentmap.prototype.downloadStreets = function () {
   let file_content = "var streets_data = ",
     streets_json = this.streets.toGeoJSON(20);
-  (file_content += JSON.stringify(streets_json)),
-    (file = new Blob([file_content]));
-
-  var element = document.createElement("a");
-  element.setAttribute("href", URL.createObjectURL(file)),
-    element.setAttribute("download", "streets_data.js"),
-    (element.style.display = "none");
-  document.body.appendChild(element);
-
-  element.click();
+  file_content += JSON.stringify(streets_json);
 
-  document.body.removeChild(element);
+  L.A.downloadFile("streets_data.js", file_content);
 };
 
 /**
@@ -303,10 +846,12 @@ Agentmap.prototype.downloadStreets = function () {
  *
  * @name agentmap
  * @param {object} map - A Leaflet Map instance.
+ * @param {number} [animation_interval=1] - The number of steps agents must move before being redrawn.
+ * @param {object} [options] - Additional options for the simulation; see {@link Agentmap}.
  * @returns {object} - An Agentmap instance.
  */
-function agentmapFactory(map) {
-  return new Agentmap(map);
+function agentmapFactory(map, animation_interval, options) {
+  return new Agentmap(map, animation_interval, options);
 }
 
 /**
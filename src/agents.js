@@ -37,6 +37,7 @@ let Agent = {};
  * @property {Object} this.trip - Properties detailing information about the agent's trip that change sometimes, but needs to be accessed by future updates.
  * @property {boolean} this.trip.moving - Whether the agent currently moving.
  * @property {boolean} this.trip.paused - Whether the agent should be allowed to move along its trip.
+ * @property {boolean} this.trip.waiting - Whether the agent is stopped at a wait in its path; see {@link Agent#scheduleWait}.
  * @property {?Point} this.trip.current_point - The point where the agent is currently located.
  * @property {?Point} this.trip.goal_point - The point where the agent is traveling to.
  * @property {?number} this.trip.lat_dir - The latitudinal direction. -1 if traveling to lower latitude (down), 1 if traveling to higher latitude (up).
@@ -45,8 +46,28 @@ let Agent = {};
  * @property {?number} this.trip.angle - The angle between the current point and the goal.
  * @property {?number} this.trip.slope - The slope of the line segment formed by the two points between which the agent is traveling at this time during its trip.
  * @property {Array} this.trip.path - A sequence of LatLngs; the agent will move from one to the next, popping each one off after it arrives until the end of the street; or, until the trip is changed/reset.
+ * A LatLng with a wait property is a wait rather than a point to move to: the agent stays where it is until the wait is over, then pops it off and moves on.
  * @property {?function} controller - User-defined function to be called on each update (each tick).
  * @property {?function} fine_controller - User-defined function to be called before & after each movemnt (on each step an agent performs during a tick).
+ * @property {?StateMachine} behavior - The state machine driving the agent's behavior, if any; see {@link StateMachine}.
+ * @property {?string} behavior_state - The name of the state the agent is in under its behavior, or null if its behavior hasn't started.
+ * @property {?ActivityPlan} plan - The plan of activities the agent follows, if any; see {@link ActivityPlan}.
+ * @property {?ActivityProgress} activity - The agent's progress through its plan, or null if its plan hasn't started.
+ * @property {Array<Message>} inbox - The messages delivered to the agent at the start of the current tick; see {@link Agent#send}.
+ * @property {?Convoy} convoy - The convoy the agent is leading or following, if any; see {@link Agentmap#scheduleGroupTrip}.
+ * @property {object} staged_changes - The changes to the agent's properties staged with {@link Agent#stage}, waiting to be applied at the end of the tick.
+ * @fires Agent#departure
+ * @fires Agent#arrive
+ * @fires Agent#placechange
+ * @fires Agent#tripcomplete
+ * @fires Agent#tripreset
+ * @fires Agent#statechange
+ * @fires Agent#activitystart
+ * @fires Agent#activityend
+ * @fires Agent#activityskip
+ * @fires Agent#plancomplete
+ * @fires Agent#unitfull
+ * @fires Agent#message
  */
 Agent.initialize = function (lat_lng, options, agentmap) {
   (this.agentmap = agentmap),
@@ -55,6 +76,7 @@ Agent.initialize = function (lat_lng, options, agentmap) {
     (this.trip = {
       paused: false,
       moving: false,
+      waiting: false,
       current_point: null,
       goal_point: null,
       lat_dir: null,
@@ -64,27 +86,101 @@ Agent.initialize = function (lat_lng, options, agentmap) {
       speed: null,
       path: [],
     }),
-    (this.controller = function () {}),
-    (this.fine_controller = function () {});
+    (this.staged_changes = {}),
+    (this.inbox = []),
+    (this.convoy = null),
+    (this.behavior = null),
+    (this.behavior_state = null),
+    (this.plan = null),
+    (this.activity = null);
 
   L.CircleMarker.prototype.initialize.call(this, lat_lng, options);
 };
 
+/*
+ * Agent events propagate to the featureGroup of agents they are in, so agentmap.agents.on("arrive", ...)
+ * will hear every agent's arrivals, with the agent in question as the event's layer property.
+ */
+
+/**
+ * Fired when an agent starts traveling along its scheduled path.
+ *
+ * @event Agent#departure
+ * @type {object}
+ * @property {Place} place - The place the agent is departing from.
+ * @property {LatLng} goal - The last point of the path the agent is departing on.
+ */
+
+/**
+ * Fired when an agent arrives at the next point in its path.
+ *
+ * @event Agent#arrive
+ * @type {object}
+ * @property {LatLng} point - The point the agent arrived at.
+ * @property {Place} place - The place the agent arrived at.
+ */
+
+/**
+ * Fired when an agent's place changes.
+ *
+ * @event Agent#placechange
+ * @type {object}
+ * @property {?Place} previous_place - The place the agent was at.
+ * @property {Place} place - The place the agent is now at.
+ */
+
+/**
+ * Fired when an agent arrives at the last point in its path.
+ *
+ * @event Agent#tripcomplete
+ * @type {object}
+ * @property {Place} place - The place where the agent's trip ended.
+ */
+
+/**
+ * Fired when an agent's trip is reset before it could be completed.
+ *
+ * @event Agent#tripreset
+ * @type {object}
+ * @property {?number} redirect_id - If the trip was reset because the agent is being redirected from a full unit, the ID of the unit it's now traveling to.
+ */
+
+/**
+ * Fired when an agent gets to the door of a unit it's traveling into and the unit is full. See {@link Agentmap#setFullUnitPolicy}.
+ *
+ * @event Agent#unitfull
+ * @type {object}
+ * @property {number} unit_id - The ID of the full unit.
+ * @property {string} policy - What the agent did about it: "reject", "queue", or "redirect".
+ * @property {?number} redirect_id - If the agent was redirected, the ID of the unit it's now traveling to.
+ */
+
 /**
  * Reset all the properties of its trip, but don't change whether it's allowed to be traveling or not.
  * @memberof Agent
  * @instance
+ *
+ * @param {?number} [redirect_id=null] - If the agent is being redirected from a full unit, the ID of the unit it will travel to instead.
  */
-Agent.resetTrip = function () {
+Agent.resetTrip = function (redirect_id = null) {
+  let interrupted = this.trip.path.length > 0;
+
+  //If the agent was waiting to get into a unit, it gives up its place in the unit's queue.
+  if (interrupted && typeof this.trip.path[0].wait_for_unit === "number") {
+    this.leaveQueue(this.trip.path[0].wait_for_unit);
+  }
+
   for (let key in this.trip) {
     this.trip[key] =
-      key === "paused"
+      key === "paused" || key === "moving" || key === "waiting"
         ? false
-        : key === "moving"
-          ? false
-          : key === "path"
-            ? []
-            : null;
+        : key === "path"
+          ? []
+          : null;
+  }
+
+  if (interrupted) {
+    this.fire("tripreset", { redirect_id: redirect_id }, true);
   }
 };
 
@@ -95,7 +191,18 @@ Agent.resetTrip = function () {
  */
 Agent.startTrip = function () {
   if (this.trip.path.length > 0) {
+    let departure_place = this.place;
+
     this.travelTo(this.trip.path[0]);
+
+    this.fire(
+      "departure",
+      {
+        place: departure_place,
+        goal: this.trip.path[this.trip.path.length - 1],
+      },
+      true,
+    );
   }
 };
 
@@ -117,6 +224,43 @@ Agent.resumeTrip = function () {
   this.trip.paused = false;
 };
 
+/**
+ * Schedule a callback for the agent to call at the start of some tick, before the controllers are called.
+ * @memberof Agent
+ * @instance
+ *
+ * @param {number|Date|string} tick_or_time - When to call the callback, in any form accepted by {@link Agentmap#schedule}.
+ * @param {function} callback - The function to call. It will be bound to the agent and given the tick it is called at.
+ * @returns {ScheduledEvent} - The scheduled event, which can be cancelled with its cancel method.
+ */
+Agent.schedule = function (tick_or_time, callback) {
+  return this.agentmap.scheduler.add(
+    this.agentmap.toTick(tick_or_time),
+    callback,
+    this,
+  );
+};
+
+/**
+ * Schedule a callback for the agent to call repeatedly, every so many ticks, at the start of the tick before the controllers are called.
+ * @memberof Agent
+ * @instance
+ *
+ * @param {number} interval - The number of ticks between calls. Must be a positive integer.
+ * @param {function} callback - The function to call. It will be bound to the agent and given the tick it is called at.
+ * @param {number|Date|string} [start] - When to call the callback first, in any form accepted by {@link Agentmap#schedule}.
+ * One interval from the current tick by default.
+ * @returns {ScheduledEvent} - The scheduled event, which can be cancelled with its cancel method.
+ */
+Agent.scheduleRepeating = function (interval, callback, start) {
+  let first_tick =
+    typeof start === "undefined"
+      ? (this.agentmap.state.ticks || 0) + interval
+      : this.agentmap.toTick(start);
+
+  return this.agentmap.scheduler.add(first_tick, callback, this, interval);
+};
+
 /**
  * Set the agent to travel to some point on the map.
  * @memberof Agent
@@ -150,7 +294,183 @@ Agent.travelTo = function (goal_point) {
     this.trip.path[0].new_place.type === "unanchored" ||
     this.trip.path[0].move_directly === true
   ) {
-    this.place = { type: "unanchored" };
+    this.setPlace({ type: "unanchored" });
+  }
+};
+
+/**
+ * Change the agent's place, and let any listeners know if it's different from before.
+ * @memberof Agent
+ * @instance
+ * @private
+ *
+ * @param {Place} place - The agent's new place.
+ */
+Agent.setPlace = function (place) {
+  let previous_place = this.place;
+  this.place = place;
+
+  if (
+    previous_place === null ||
+    previous_place.type !== place.type ||
+    previous_place.id !== place.id
+  ) {
+    this.updateOccupancy(previous_place, place);
+
+    this.fire(
+      "placechange",
+      { previous_place: previous_place, place: place },
+      true,
+    );
+  }
+};
+
+/**
+ * Move the agent out of the occupants of the unit it was in, if any, and into those of the unit it's now in, if any.
+ * @memberof Agent
+ * @instance
+ * @private
+ *
+ * @param {?Place} previous_place - The place the agent was at.
+ * @param {?Place} place - The place the agent is now at.
+ */
+Agent.updateOccupancy = function (previous_place, place) {
+  if (previous_place !== null && previous_place.type === "unit") {
+    let previous_unit = this.agentmap.units.getLayer(previous_place.id);
+
+    if (typeof previous_unit !== "undefined") {
+      previous_unit.occupants.delete(this);
+    }
+  }
+
+  if (place !== null && place.type === "unit") {
+    let unit = this.agentmap.units.getLayer(place.id);
+
+    if (typeof unit !== "undefined") {
+      unit.occupants.add(this);
+      this.leaveQueue(place.id);
+    }
+  }
+};
+
+/**
+ * Check whether the agent can go into a place: whether, if it's a unit the agent isn't already in,
+ * the unit has room and no other agents are waiting ahead of it to get in.
+ * @memberof Agent
+ * @instance
+ * @private
+ *
+ * @param {Place} place - The place.
+ * @returns {boolean} - Whether the agent can go in.
+ */
+Agent.canEnter = function (place) {
+  if (
+    place.type !== "unit" ||
+    (this.place !== null &&
+      this.place.type === "unit" &&
+      this.place.id === place.id)
+  ) {
+    return true;
+  }
+
+  let unit = this.agentmap.units.getLayer(place.id);
+
+  return (
+    unit.occupants.size + this.getGroupSize() <= unit.capacity &&
+    (unit.queue.length === 0 || unit.queue[0] === this)
+  );
+};
+
+/**
+ * Get the number of agents that go into a unit along with the agent: its whole convoy if it's leading one, or else just itself.
+ * @memberof Agent
+ * @instance
+ * @private
+ *
+ * @returns {number} - The number of agents.
+ */
+Agent.getGroupSize = function () {
+  return this.convoy !== null && this.convoy.leader === this
+    ? 1 + this.convoy.followers.length
+    : 1;
+};
+
+/**
+ * Have the agent, having gotten to the door of a unit that's full, do what the agentmap's full unit policy says.
+ * @memberof Agent
+ * @instance
+ * @private
+ *
+ * @param {LatLng} door - The point in the agent's path where it would have gone into the unit.
+ * @fires Agent#unitfull
+ */
+Agent.refuseEntry = function (door) {
+  let unit_id = door.new_place.id,
+    policy = this.agentmap.full_unit_policy,
+    redirect_id = null;
+
+  if (policy === "queue") {
+    let unit = this.agentmap.units.getLayer(unit_id);
+
+    if (!unit.queue.includes(this)) {
+      unit.queue.push(this);
+    }
+
+    //Wait where it is until it can go in, and then continue on to the door.
+    let wait_point = L.latLng(
+      this.trip.current_point.lat,
+      this.trip.current_point.lng,
+    );
+    (wait_point.new_place = this.place),
+      (wait_point.wait = true),
+      (wait_point.wait_for_unit = unit_id);
+
+    this.trip.path.unshift(wait_point);
+    this.startWait();
+  } else {
+    if (policy === "redirect") {
+      redirect_id = this.agentmap.nearestUnitWithRoom(
+        this.getLatLng(),
+        unit_id,
+        this.getGroupSize(),
+      );
+    }
+
+    this.resetTrip(redirect_id);
+
+    if (redirect_id !== null) {
+      this.setTravelToPlace(
+        this.agentmap.getUnitPoint(redirect_id, 0.5, 0.5),
+        { type: "unit", id: redirect_id },
+        door.speed,
+      );
+    }
+  }
+
+  this.fire(
+    "unitfull",
+    { unit_id: unit_id, policy: policy, redirect_id: redirect_id },
+    true,
+  );
+};
+
+/**
+ * Take the agent out of the queue of agents waiting to get into a unit, if it's in it.
+ * @memberof Agent
+ * @instance
+ * @private
+ *
+ * @param {number} unit_id - The ID of the unit.
+ */
+Agent.leaveQueue = function (unit_id) {
+  let unit = this.agentmap.units.getLayer(unit_id);
+
+  if (typeof unit !== "undefined") {
+    let index = unit.queue.indexOf(this);
+
+    if (index !== -1) {
+      unit.queue.splice(index, 1);
+    }
   }
 };
 
@@ -195,7 +515,8 @@ Agent.setTravelInUnit = function (goal_lat_lng, goal_place, speed) {
  *
  * @param {LatLng} goal_lat_lng - The point within the place to which the agent is to travel.
  * @param {Place} goal_place - The place to which the agent will travel.
- * @param {number} [speed=1] - The speed in meters per tick that the agent should try to travel. Must be >= .1.
+ * @param {number|string} [speed=1] - The speed that the agent should try to travel, in meters per tick, or as a string with units
+ * converted through the agentmap's clock (e.g. "30 km/h" or "1.4 m/s"). Must come out to >= .1 meters per tick.
  * @param {Boolean} [move_directly=false] - Whether to ignore the streets & roads and move directly to the goal.
  * @param {Boolean} [replace_trip=false] - Whether to empty the currently scheduled path and replace it with this new trip; false by default (the new trip is
  * simply appended to the current scheduled path).
@@ -207,6 +528,7 @@ Agent.setTravelToPlace = function (
   move_directly = false,
   replace_trip = false,
 ) {
+  speed = this.agentmap.clock.toMetersPerTick(speed);
   this.checkSpeed(speed);
 
   let start_place = this.newTripStartPlace();
@@ -310,6 +632,110 @@ Agent.setTravelToPlace = function (
 
 Agent.scheduleTrip = Agent.setTravelToPlace;
 
+/**
+ * Schedule the agent to wait where it is at the end of its currently scheduled path before going on to whatever is scheduled after, e.g.
+ * to go to one unit, wait there for 30 ticks, and then go to another.
+ * @memberof Agent
+ * @instance
+ *
+ * @example
+ * agent.setTravelToPlace(agentmap.getUnitPoint(shop_id, .5, .5), { type: "unit", id: shop_id });
+ * agent.scheduleWait(30);
+ * agent.setTravelToPlace(agentmap.getUnitPoint(home_id, .5, .5), { type: "unit", id: home_id });
+ * agent.scheduleWait(function () { return this.agentmap.clock.hour() === 8; });
+ *
+ * @param {number|string|function} wait - How long to wait: either a number of ticks, a string with units converted through the agentmap's clock
+ * (e.g. "30 min"; see {@link Clock#toTicks}), or a function that is bound to the agent, given the current tick, and returns true once the agent
+ * should stop waiting. It's checked on each tick the agent is moved, starting with the one after it arrives. Waits with functions aren't saved in snapshots.
+ */
+Agent.scheduleWait = function (wait) {
+  let last_point =
+      this.trip.path.length !== 0
+        ? this.trip.path[this.trip.path.length - 1]
+        : this.getLatLng(),
+    wait_point = L.latLng(last_point.lat, last_point.lng);
+  (wait_point.new_place = this.newTripStartPlace()), (wait_point.wait = true);
+
+  if (typeof wait === "function") {
+    wait_point.wait_until = wait;
+  } else {
+    let wait_ticks =
+      typeof wait === "string" ? this.agentmap.clock.toTicks(wait) : wait;
+
+    if (!(Number.isInteger(wait_ticks) && wait_ticks >= 0)) {
+      throw new Error(
+        "The wait must be a non-negative whole number of ticks, a duration, or a function!",
+      );
+    }
+
+    wait_point.wait_ticks = wait_ticks;
+  }
+
+  this.trip.path.push(wait_point);
+};
+
+/**
+ * Start the wait at the front of the agent's path.
+ * @memberof Agent
+ * @instance
+ * @private
+ */
+Agent.startWait = function () {
+  let wait_point = this.trip.path[0];
+
+  (this.trip.waiting = true), (this.trip.goal_point = null);
+
+  if (typeof wait_point.wait_ticks === "number") {
+    wait_point.wait_end_tick =
+      (this.agentmap.state.ticks || 0) + wait_point.wait_ticks;
+  }
+};
+
+/**
+ * Check whether the wait at the front of the agent's path is over, and if so, pop it off.
+ * @memberof Agent
+ * @instance
+ * @private
+ *
+ * @returns {boolean} - Whether the agent can go on along its path.
+ */
+Agent.checkWait = function () {
+  if (!this.trip.waiting) {
+    this.startWait();
+  }
+
+  let wait_point = this.trip.path[0],
+    tick = this.agentmap.state.ticks || 0,
+    wait_over =
+      typeof wait_point.wait_until === "function"
+        ? wait_point.wait_until.call(this, tick) === true
+        : typeof wait_point.wait_for_unit === "number"
+          ? this.canEnter({ type: "unit", id: wait_point.wait_for_unit })
+          : typeof wait_point.wait_end_tick === "number"
+            ? tick >= wait_point.wait_end_tick
+            : true;
+
+  if (!wait_over) {
+    return false;
+  }
+
+  this.trip.path.shift();
+  this.trip.waiting = false;
+
+  if (this.trip.path.length === 0) {
+    this.resetTrip();
+    this.fire("tripcomplete", { place: this.place }, true);
+
+    return false;
+  } else if (this.trip.path[0].wait === true) {
+    this.startWait();
+
+    return false;
+  }
+
+  return true;
+};
+
 /**
  * Schedule the agent to travel to a point along the streets, via streets.
  * @memberof Agent
@@ -523,9 +949,11 @@ Agent.setTravelOnStreetNetwork = function (
  * @memberof Agent
  * @instance
  *
- * @param {number} speed - The speed (in meters per tick) that the agent should move. Must be >= .1.
+ * @param {number|string} speed - The speed that the agent should move, in meters per tick, or as a string with units
+ * converted through the agentmap's clock (e.g. "30 km/h" or "1.4 m/s"). Must come out to >= .1 meters per tick.
  */
 Agent.setSpeed = function (speed) {
+  speed = this.agentmap.clock.toMetersPerTick(speed);
   this.checkSpeed(speed);
 
   if (this.trip.goal_point !== null) {
@@ -563,10 +991,12 @@ Agent.multiplySpeed = function (multiplier) {
  * @memberof Agent
  * @instance
  *
- * @param {number} magnitude - The number to add to the agent's scheduled speed.
- * All scheduled speeds must be >= .1
+ * @param {number|string} magnitude - The speed to add to the agent's scheduled speed, in meters per tick, or as a string with units
+ * converted through the agentmap's clock (e.g. "5 km/h"). All scheduled speeds must be >= .1 meters per tick.
  */
 Agent.increaseSpeed = function (magnitude) {
+  magnitude = this.agentmap.clock.toMetersPerTick(magnitude);
+
   if (this.trip.goal_point !== null) {
     this.trip.speed += magnitude;
     this.checkSpeed(this.trip.speed);
@@ -583,7 +1013,7 @@ Agent.increaseSpeed = function (magnitude) {
  * @memberof Agent
  * @instance
  *
- * @param {number} speed - A number representing the speed of an agent in meters per second.
+ * @param {number} speed - A number representing the speed of an agent in meters per tick.
  */
 Agent.checkSpeed = function (speed) {
   if (speed < 0.1) {
@@ -715,14 +1145,26 @@ Agent.step = function (lat_step_value, lng_step_value) {
 
   (this.trip.current_point = new_lat_lng), this.steps_made++;
 
-  //Only redraw the Agent's position if the number of steps the agent has moved is a multiple of the agentmap.animation_interval.
-  if (
+  //Only redraw the Agent's position if the number of steps the agent has moved is a multiple of the agentmap.animation_interval,
+  //and the agentmap isn't waiting to redraw every agent at the end of the animation frame.
+  let redraw =
+    !this.agentmap.state.batching &&
     this.agentmap.animation_interval > 0 &&
-    this.steps_made % this.agentmap.animation_interval === 0
-  ) {
+    this.steps_made % this.agentmap.animation_interval === 0;
+
+  if (redraw) {
     this.setLatLng(new_lat_lng);
   } else {
     this._latlng = new_lat_lng;
+
+    if (this.agentmap.agent_index !== null) {
+      this.agentmap.agent_index.update(this, new_lat_lng);
+    }
+  }
+
+  //If the agent is leading a convoy, bring its followers along.
+  if (this.convoy !== null && this.convoy.leader === this) {
+    this.convoy.follow(redraw);
   }
 };
 
@@ -738,20 +1180,37 @@ Agent.step = function (lat_step_value, lng_step_value) {
  */
 Agent.checkArrival = function (sub_goal_lat_lng, leftover_after_goal) {
   if (this.trip.goal_point.distanceTo(this.trip.current_point) < 0.1) {
-    this.place = this.trip.path[0].new_place;
+    //If the agent has gotten to the door of a unit that's full, it can't go in.
+    if (!this.canEnter(this.trip.path[0].new_place)) {
+      this.refuseEntry(this.trip.path[0]);
+      this.trip.moving = false;
+
+      return true;
+    }
+
+    let arrival_point = this.trip.path.shift();
+    this.setPlace(arrival_point.new_place);
     arrived = true;
 
-    this.trip.path.shift();
+    let trip_complete = this.trip.path.length === 0;
 
-    if (this.trip.path.length === 0) {
+    if (trip_complete) {
       this.resetTrip();
+    } else if (this.trip.path[0].wait === true) {
+      this.startWait();
     } else {
       this.travelTo(this.trip.path[0]);
+    }
 
-      //If it still needs to move a certain distance during this tick, move it that distance towards the next goal before returning.
-      if (leftover_after_goal > 0) {
-        this.travel(leftover_after_goal);
-      }
+    this.fire("arrive", { point: arrival_point, place: this.place }, true);
+
+    if (trip_complete) {
+      this.fire("tripcomplete", { place: this.place }, true);
+    }
+    //If it still needs to move a certain distance during this tick, move it that distance towards the next goal before returning
+    //(unless a listener has since reset its trip).
+    else if (leftover_after_goal > 0 && this.trip.goal_point !== null) {
+      this.travel(leftover_after_goal);
     }
 
     this.trip.moving = false;
@@ -770,8 +1229,28 @@ Agent.checkArrival = function (sub_goal_lat_lng, leftover_after_goal) {
  * @instance
  */
 Agent.moveIt = function () {
+  //In simultaneous activation, wait until every agent's controller has been called before moving.
+  if (this.agentmap.state.deferred_moves !== null) {
+    this.agentmap.state.deferred_moves.push(this);
+    return;
+  }
+
+  //Agents following a convoy are moved along with its leader instead.
+  if (this.convoy !== null && this.convoy.leader !== this) {
+    return;
+  }
+
   //Make sure the agent isn't paused or already moving.
   if (!this.trip.paused && !this.trip.moving) {
+    //If the agent has reached a wait in its path, stay put until it's over.
+    if (
+      this.trip.path.length !== 0 &&
+      this.trip.path[0].wait === true &&
+      !this.checkWait()
+    ) {
+      return;
+    }
+
     //Call the agent's fine_controller before it begins moving.
     this.fine_controller();
 
@@ -790,6 +1269,86 @@ Agent.moveIt = function () {
   }
 };
 
+/**
+ * Remove the agent from its agentmap. Safe to call during a tick; see {@link Agentmap#removeAgent}.
+ * If the agent isn't in its agentmap's agents, it's just removed from the map, like any other Leaflet layer.
+ * @memberof Agent
+ * @instance
+ *
+ * @returns {Agent} - The agent.
+ */
+Agent.remove = function () {
+  if (this.agentmap.agents !== null && this.agentmap.agents.hasLayer(this)) {
+    this.agentmap.removeAgent(this);
+  } else {
+    L.CircleMarker.prototype.remove.call(this);
+  }
+
+  return this;
+};
+
+/**
+ * Set one of the agent's properties. While the agents' controllers are being called in simultaneous activation (see {@link Agentmap#setActivation}),
+ * the change is held until every agent's controller has been called, so that the other agents still see the property's value from the start of the tick;
+ * otherwise (including from the agentmap's controller, scheduled callbacks, and event listeners), the change is made right away.
+ * @memberof Agent
+ * @instance
+ *
+ * @param {string} key - The name of the property.
+ * @param {*} value - The property's new value.
+ */
+Agent.stage = function (key, value) {
+  if (this.agentmap.state.deferred_moves !== null) {
+    this.staged_changes[key] = value;
+  } else {
+    this[key] = value;
+  }
+};
+
+/**
+ * Apply the changes staged with {@link Agent#stage}.
+ * @memberof Agent
+ * @instance
+ * @private
+ */
+Agent.commit = function () {
+  Object.assign(this, this.staged_changes);
+  this.staged_changes = {};
+};
+
+/**
+ * The name of the agent's type, as given to {@link Agentmap#defineAgentType}, or null for a plain agent.
+ * @memberof Agent
+ * @instance
+ * @type {?string}
+ */
+Agent.agent_type = null;
+
+/**
+ * The Leaflet layer options of the agent's type, which take precedence over the layer_options from an agentFeatureMaker.
+ * @memberof Agent
+ * @instance
+ * @private
+ * @type {object}
+ */
+Agent.type_style = {};
+
+/**
+ * The function called on the agent each tick. Does nothing unless replaced on the agent, or defined by its type or a class extending {@link Agent}.
+ * @memberof Agent
+ * @instance
+ * @type {function}
+ */
+Agent.controller = function () {};
+
+/**
+ * The function called on the agent before each movement. Does nothing unless replaced on the agent, or defined by its type or a class extending {@link Agent}.
+ * @memberof Agent
+ * @instance
+ * @type {function}
+ */
+Agent.fine_controller = function () {};
+
 Agent = L.CircleMarker.extend(Agent);
 
 /**
@@ -841,14 +1400,15 @@ function agent(lat_lng, options, agentmap) {
  */
 
 /**
- * A standard {@link agentFeatureMaker}, which sets an agent's location to be the point near the center of the iᵗʰ unit of the map,
+ * A standard {@link agentFeatureMaker}, which sets an agent's location to be the point near the center of the iᵗʰ unit of the map
+ * (where i is the number of agents spawned before it, including any that have since been removed),
  * its place property to be that unit's, and its layer_options to be red and of radius .5 meters.
  * @memberof Agentmap
  * @instance
  * @type {agentFeatureMaker}
  */
 function seqUnitAgentMaker(id) {
-  let index = this.agents.count();
+  let index = this.state.agents_spawned;
 
   if (index > this.units.getLayers().length - 1) {
     throw new Error(
@@ -869,6 +1429,42 @@ function seqUnitAgentMaker(id) {
   return center_point;
 }
 
+/**
+ * A standard {@link agentFeatureMaker}, which sets an agent's location to be a random point inside a random unit of the map,
+ * its place property to be that unit's, and its layer_options to be red and of radius .5 meters.
+ * Picks with the agentmap's random number generator, so the same seed will place agents the same way.
+ * @memberof Agentmap
+ * @instance
+ * @type {agentFeatureMaker}
+ */
+function randomUnitAgentMaker(id) {
+  let unit = this.pick(this.units.getLayers());
+
+  if (typeof unit === "undefined") {
+    throw new Error("randomUnitAgentMaker needs at least one unit on the map.");
+  }
+
+  let unit_id = this.units.getLayerId(unit),
+    point = this.getUnitPoint(unit_id, this.random(), this.random()),
+    feature = {
+      type: "Feature",
+      properties: {
+        place: { type: "unit", id: unit_id },
+        layer_options: {
+          radius: 0.5,
+          color: "red",
+          fillColor: "red",
+        },
+      },
+      geometry: {
+        type: "Point",
+        coordinates: L.A.pointToCoordinateArray(point),
+      },
+    };
+
+  return feature;
+}
+
 /**
  * Generate some number of agents and place them on the map.
  * @memberof Agentmap
@@ -876,51 +1472,250 @@ function seqUnitAgentMaker(id) {
  *
  * @param {number} count - The desired number of agents.
  * @param {agentFeatureMaker} agentFeatureMaker - A callback that determines an agent i's feature properties and geometry (always a Point).
+ * @param {string} [type] - The name of the type of agents to make, as given to {@link Agentmap#defineAgentType}. Plain agents by default.
  */
-function agentify(count, agentFeatureMaker) {
-  let agentmap = this;
+function agentify(count, agentFeatureMaker, type) {
+  for (let i = 0; i < count; i++) {
+    this.spawnAgent(agentFeatureMaker, type);
+  }
+}
 
+/**
+ * Make a single agent and place it on the map. Can be called at any time, including in the middle of a tick,
+ * though an agent spawned while the agents' controllers are being called won't have its own controller called until the next tick.
+ * @memberof Agentmap
+ * @instance
+ *
+ * @param {agentFeatureMaker|Point} agentFeatureMaker - Either a callback that determines the agent's feature properties and geometry,
+ * or such a feature itself.
+ * @param {string} [type] - The name of the type of agent to make, as given to {@link Agentmap#defineAgentType}. A plain agent by default.
+ * @returns {Agent} - The new agent.
+ * @fires Agentmap#agentadd
+ */
+function spawnAgent(agentFeatureMaker, type) {
   if (!(this.agents instanceof L.LayerGroup)) {
-    this.agents = L.featureGroup().addTo(this.map);
+    this.agents = this.addToMap(L.featureGroup());
   }
 
-  let agents_existing = agentmap.agents.getLayers().length;
-  for (let i = agents_existing; i < agents_existing + count; i++) {
-    let new_agent = agent(null, null, agentmap);
+  let AgentType = this.getAgentType(type),
+    new_agent = new AgentType(null, null, this);
 
-    //Callback function aren't automatically bound to the agentmap.
-    let boundFeatureMaker = agentFeatureMaker.bind(agentmap),
-      agent_feature = boundFeatureMaker(new_agent._leaflet_id);
+  //Callback function aren't automatically bound to the agentmap.
+  let agent_feature =
+    typeof agentFeatureMaker === "function"
+      ? agentFeatureMaker.call(this, new_agent._leaflet_id)
+      : agentFeatureMaker;
 
-    let coordinates = L.A.reversedCoordinates(
-        agent_feature.geometry.coordinates,
-      ),
-      place = agent_feature.properties.place,
-      layer_options = agent_feature.properties.layer_options;
+  let coordinates = L.A.reversedCoordinates(agent_feature.geometry.coordinates),
+    place = agent_feature.properties.place,
+    layer_options = agent_feature.properties.layer_options;
 
-    //Make sure the agent feature is valid and has everything we need.
-    if (!L.A.isPointCoordinates(coordinates)) {
-      throw new Error(
-        "Invalid feature returned from agentFeatureMaker: geometry.coordinates must be a 2-element array of numbers.",
-      );
-    } else if (typeof place.id !== "number") {
-      throw new Error(
-        "Invalid feature returned from agentFeatureMaker: properties.place must be a {unit: unit_id} or {street: street_id} with an existing layer's ID.",
+  //Make sure the agent feature is valid and has everything we need.
+  if (!L.A.isPointCoordinates(coordinates)) {
+    throw new Error(
+      "Invalid feature returned from agentFeatureMaker: geometry.coordinates must be a 2-element array of numbers.",
+    );
+  } else if (typeof place.id !== "number") {
+    throw new Error(
+      "Invalid feature returned from agentFeatureMaker: properties.place must be a {unit: unit_id} or {street: street_id} with an existing layer's ID.",
+    );
+  }
+
+  //The agent's type's style takes precedence over the layer options from the agentFeatureMaker.
+  new_agent.setLatLng(coordinates);
+  new_agent.setStyle(Object.assign({}, layer_options, new_agent.type_style));
+
+  let properties = Object.assign({}, agent_feature.properties);
+  delete properties.layer_options;
+  Object.assign(new_agent, properties);
+
+  this.agents.addLayer(new_agent);
+  new_agent.updateOccupancy(null, new_agent.place);
+  this.state.agents_spawned += 1;
+
+  this.fire("agentadd", { agent: new_agent });
+
+  return new_agent;
+}
+
+/**
+ * Remove an agent from the agentmap: reset its trip, cancel its scheduled callbacks, and take it off the map.
+ * If called while a tick is being updated (e.g. from a controller), the agent's controller won't be called again, and it
+ * will be removed once all the controllers have been called, before the tick ends.
+ * @memberof Agentmap
+ * @instance
+ *
+ * @param {Agent} agent - The agent to remove.
+ * @fires Agentmap#agentremove
+ */
+function removeAgent(agent) {
+  if (this.agents === null || !this.agents.hasLayer(agent)) {
+    return;
+  }
+
+  if (this.state.pending_removals !== null) {
+    this.state.pending_removals.add(agent);
+    return;
+  }
+
+  agent.resetTrip();
+  agent.updateOccupancy(agent.place, null);
+  agent.staged_changes = {};
+  this.scheduler.cancelContext(agent);
+  this.agents.removeLayer(agent);
+
+  this.fire("agentremove", { agent: agent });
+}
+
+/**
+ * The definition of a type of agent, as given to {@link Agentmap#defineAgentType}.
+ *
+ * @typedef {object} AgentTypeDefinition
+ * @property {string|Agent} [extends] - The type this one is a kind of: either the name of a type already defined on the agentmap,
+ * or a class extending {@link Agent}. Plain agents by default. The new type inherits its parent's defaults, controller, style, and methods,
+ * and its agents are counted by {@link Agentmap#agentsOfType} as agents of the parent type too.
+ * @property {object} [defaults] - Properties every agent of the type starts with, unless its agentFeatureMaker gives it others.
+ * Arrays and objects are copied for each agent.
+ * @property {function} [controller] - The controller every agent of the type starts with.
+ * @property {function} [fine_controller] - The fine_controller every agent of the type starts with.
+ * @property {object} [style] - Leaflet layer options (like its color and radius) for every agent of the type,
+ * which take precedence over the layer_options from the agentFeatureMaker.
+ * @property {object} [methods] - Methods to add to the type's class, available to each of its agents.
+ */
+
+/**
+ * Define a type of agent, so that agents of that type can be made with {@link Agentmap#agentify} or {@link Agentmap#spawnAgent}
+ * and found with {@link Agentmap#agentsOfType}.
+ * @memberof Agentmap
+ * @instance
+ *
+ * @example
+ * agentmap.defineAgentType("Car", {
+ * 	defaults: { fuel: 100 },
+ * 	style: { color: "blue", radius: 1 },
+ * 	controller: function () {
+ * 		this.fuel -= 1;
+ * 		this.moveIt();
+ * 	}
+ * });
+ * agentmap.defineAgentType("Bus", { extends: "Car", defaults: { passengers: [] }, style: { color: "yellow" } });
+ *
+ * agentmap.agentify(10, agentmap.seqUnitAgentMaker, "Car");
+ * agentmap.agentify(2, agentmap.seqUnitAgentMaker, "Bus");
+ * agentmap.agentsOfType("Car").length; //12
+ *
+ * @param {string} name - The name of the type.
+ * @param {AgentTypeDefinition|Agent} definition - Either a definition of the type, or a class extending {@link Agent}.
+ * @returns {Agent} - The type's class, which extends {@link Agent}.
+ */
+function defineAgentType(name, definition = {}) {
+  let AgentType;
+
+  if (typeof definition === "function") {
+    //Agent itself can't be a type, or every plain agent would be counted as one.
+    if (!(definition.prototype instanceof Agent)) {
+      throw new Error("An agent type's class must extend Agent.");
+    }
+
+    AgentType = definition;
+  } else {
+    let Parent =
+        typeof definition.extends === "function"
+          ? definition.extends
+          : typeof definition.extends === "string"
+            ? this.getAgentType(definition.extends)
+            : Agent,
+      defaults = definition.defaults || {},
+      controllers = {},
+      type_style = Object.assign(
+        {},
+        Parent.prototype.type_style,
+        definition.style,
       );
+
+    //The controllers go on the type's class, so that classes extending it can override them.
+    if (typeof definition.controller === "function") {
+      controllers.controller = definition.controller;
+    }
+    if (typeof definition.fine_controller === "function") {
+      controllers.fine_controller = definition.fine_controller;
     }
 
-    new_agent.setLatLng(coordinates);
-    new_agent.setStyle(layer_options);
+    AgentType = Parent.extend(
+      Object.assign({}, definition.methods, controllers, {
+        initialize: function (lat_lng, options, agentmap) {
+          Parent.prototype.initialize.call(
+            this,
+            lat_lng,
+            Object.assign({}, type_style, options),
+            agentmap,
+          );
 
-    delete agent_feature.properties.layer_options;
-    Object.assign(new_agent, agent_feature.properties);
+          for (let key in defaults) {
+            let value = defaults[key];
+
+            this[key] = Array.isArray(value)
+              ? value.slice()
+              : value !== null && value.constructor === Object
+                ? Object.assign({}, value)
+                : value;
+          }
+        },
+        type_style: type_style,
+      }),
+    );
+  }
+
+  AgentType.prototype.agent_type = name;
+  this.agent_types[name] = AgentType;
 
-    this.agents.addLayer(new_agent);
+  return AgentType;
+}
+
+/**
+ * Get the class of a type of agent.
+ * @memberof Agentmap
+ * @instance
+ *
+ * @param {?string} [type] - The name of a type defined with {@link Agentmap#defineAgentType}. If not given, returns {@link Agent}.
+ * @returns {Agent} - The type's class.
+ */
+function getAgentType(type) {
+  if (typeof type === "undefined" || type === null) {
+    return Agent;
+  } else if (!this.agent_types.hasOwnProperty(type)) {
+    throw new Error('No agent type named "' + type + '" has been defined.');
   }
+
+  return this.agent_types[type];
+}
+
+/**
+ * Get every agent of a type, including the agents of any types that extend it.
+ * @memberof Agentmap
+ * @instance
+ *
+ * @param {string} type - The name of a type defined with {@link Agentmap#defineAgentType}.
+ * @returns {Array<Agent>} - The agents of that type.
+ */
+function agentsOfType(type) {
+  let AgentType = this.getAgentType(type);
+
+  if (this.agents === null) {
+    return [];
+  }
+
+  return this.agents.getLayers().filter((agent) => agent instanceof AgentType);
 }
 
 (Agentmap.prototype.agent = agent),
   (Agentmap.prototype.agentify = agentify),
-  (Agentmap.prototype.seqUnitAgentMaker = seqUnitAgentMaker);
+  (Agentmap.prototype.spawnAgent = spawnAgent),
+  (Agentmap.prototype.removeAgent = removeAgent),
+  (Agentmap.prototype.defineAgentType = defineAgentType),
+  (Agentmap.prototype.getAgentType = getAgentType),
+  (Agentmap.prototype.agentsOfType = agentsOfType),
+  (Agentmap.prototype.seqUnitAgentMaker = seqUnitAgentMaker),
+  (Agentmap.prototype.randomUnitAgentMaker = randomUnitAgentMaker);
 
 (exports.Agent = Agent), (exports.agent = agent);
@@ -0,0 +1,282 @@
+/* This file is part of AgentMaps which is released under the Simplified BSD License. */
+
+/* The StateMachine class, for declaring an agent's behavior as a set of states and the transitions between them. */
+
+let Agent = require("./agents").Agent;
+
+/**
+ * A state of a {@link StateMachine}. Every handler is bound to the agent in the state.
+ *
+ * @typedef {object} BehaviorState
+ * @property {function} [enter] - Called when the agent enters the state, with the event that caused the transition (if any).
+ * @property {function} [exit] - Called when the agent leaves the state, with the event that caused the transition (if any).
+ * @property {function} [tick] - Called on each tick the agent is in the state, before its controller, with the tick.
+ * If it returns the name of a state, the agent transitions to it.
+ * @property {object} [on] - An object mapping the names of events fired on the agent (like "arrive", "tripcomplete", or "placechange",
+ * or any event fired with agent.fire) to either the name of the state to transition to when the event is fired, or a function that is given
+ * the event and returns the name of the state to transition to (or nothing to stay in the same state).
+ */
+
+/**
+ * Fired when an agent's behavior moves it from one state to another.
+ *
+ * @event Agent#statechange
+ * @type {object}
+ * @property {?string} previous_state - The state the agent was in, or null if its behavior just started.
+ * @property {string} state - The state the agent is now in.
+ */
+
+/**
+ * A behavior for agents, declared as a set of states with handlers for entering, leaving, and staying in them, and
+ * the transitions between them. One state machine can be shared by any number of agents; each agent's current state
+ * is kept in its behavior_state property.<br/><br/>
+ *
+ * An agent's behavior starts in the initial state the first time it's updated (or right away, if set with {@link Agent#setBehavior}).
+ * On each tick, the agent's current state's tick handler is called before its controller. The agent is still moved along its trip
+ * by calling its moveIt method, as usual, from its controller; or, if the move option is true, right after the tick handler instead
+ * (in which case its controller shouldn't also move it).
+ *
+ * @example
+ * let commuter = L.A.stateMachine({
+ * 	home: {
+ * 		tick: function () {
+ * 			if (this.agentmap.clock.hour() === 8) {
+ * 				return "commuting";
+ * 			}
+ * 		}
+ * 	},
+ * 	commuting: {
+ * 		enter: function () {
+ * 			this.setTravelToPlace(this.agentmap.getUnitPoint(this.work_id, .5, .5), { type: "unit", id: this.work_id }, "5 km/h");
+ * 		},
+ * 		on: { tripcomplete: "working" }
+ * 	},
+ * 	working: {}
+ * });
+ *
+ * agentmap.agents.eachLayer(function (agent) {
+ * 	agent.behavior = commuter;
+ * 	agent.controller = function () {
+ * 		this.moveIt();
+ * 	};
+ * });
+ *
+ * @class StateMachine
+ * @param {object} states - An object mapping the name of each state to its {@link BehaviorState}.
+ * @param {object} [options] - Options for the state machine.
+ * @param {string} [options.initial] - The name of the state agents start in. The first state by default.
+ * @param {boolean} [options.move=false] - Whether to move the agents along their trips on each tick after their states' tick handlers,
+ * so that their controllers don't need to.
+ * @property {object} states - An object mapping the name of each state to its {@link BehaviorState}.
+ * @property {string} initial - The name of the state agents start in.
+ * @property {boolean} move - Whether the agents are moved along their trips on each tick.
+ */
+function StateMachine(states, options = {}) {
+  let initial =
+    typeof options.initial === "undefined"
+      ? Object.keys(states)[0]
+      : options.initial;
+
+  if (typeof initial === "undefined") {
+    throw new Error("A state machine needs at least one state.");
+  } else if (!states.hasOwnProperty(initial)) {
+    throw new Error('The initial state "' + initial + '" does not exist.');
+  }
+
+  (this.states = states),
+    (this.initial = initial),
+    (this.move = options.move === true);
+}
+
+/**
+ * Put an agent in the initial state.
+ *
+ * @param {Agent} agent - The agent whose behavior should start.
+ */
+StateMachine.prototype.start = function (agent) {
+  agent.behavior_state = null;
+  this.transition(agent, this.initial);
+};
+
+/**
+ * Update an agent's behavior for the tick: start it if it hasn't started, call its state's tick handler, and move the agent.
+ * @private
+ *
+ * @param {Agent} agent - The agent to update.
+ * @param {number} tick - The current tick.
+ */
+StateMachine.prototype.update = function (agent, tick) {
+  if (!this.states.hasOwnProperty(agent.behavior_state)) {
+    this.start(agent);
+  }
+
+  let state = this.states[agent.behavior_state];
+
+  if (typeof state.tick === "function") {
+    let next_state = state.tick.call(agent, tick);
+
+    if (typeof next_state === "string") {
+      this.transition(agent, next_state);
+    }
+  }
+
+  if (this.move) {
+    agent.moveIt();
+  }
+};
+
+/**
+ * Check whether an agent's current state handles some type of event.
+ * @private
+ *
+ * @param {Agent} agent - The agent.
+ * @param {string} type - The type of the event.
+ * @returns {boolean} - Whether the agent's current state has a handler for the event.
+ */
+StateMachine.prototype.handles = function (agent, type) {
+  let state = this.states[agent.behavior_state];
+
+  return (
+    typeof state !== "undefined" &&
+    typeof state.on !== "undefined" &&
+    state.on.hasOwnProperty(type)
+  );
+};
+
+/**
+ * Transition an agent to a new state if its current state handles an event fired on it.
+ * @private
+ *
+ * @param {Agent} agent - The agent the event was fired on.
+ * @param {string} type - The type of the event.
+ * @param {object} e - The event.
+ */
+StateMachine.prototype.handle = function (agent, type, e) {
+  if (!this.handles(agent, type)) {
+    return;
+  }
+
+  let state = this.states[agent.behavior_state],
+    next_state =
+      typeof state.on[type] === "function"
+        ? state.on[type].call(agent, e)
+        : state.on[type];
+
+  if (typeof next_state === "string") {
+    this.transition(agent, next_state, e);
+  }
+};
+
+/**
+ * Move an agent to a state, calling the exit handler of the state it's leaving and the enter handler of the one it's entering.
+ *
+ * @param {Agent} agent - The agent.
+ * @param {string} state_name - The name of the state to move the agent to.
+ * @param {object} [e] - The event that caused the transition, if any, to pass to the handlers.
+ * @fires Agent#statechange
+ */
+StateMachine.prototype.transition = function (agent, state_name, e) {
+  if (!this.states.hasOwnProperty(state_name)) {
+    throw new Error('No state named "' + state_name + '" exists.');
+  }
+
+  let previous_state = agent.behavior_state,
+    previous = this.states[previous_state];
+
+  if (typeof previous !== "undefined" && typeof previous.exit === "function") {
+    previous.exit.call(agent, e);
+  }
+
+  agent.behavior_state = state_name;
+  agent.fire(
+    "statechange",
+    {
+      previous_state: typeof previous === "undefined" ? null : previous_state,
+      state: state_name,
+    },
+    true,
+  );
+
+  let next = this.states[state_name];
+
+  if (typeof next.enter === "function") {
+    next.enter.call(agent, e);
+  }
+};
+
+/**
+ * Returns a state machine for agents' behavior.
+ *
+ * @param {object} states - An object mapping the name of each state to its {@link BehaviorState}.
+ * @param {object} [options] - Options for the state machine; see {@link StateMachine}.
+ * @returns {StateMachine} - A StateMachine instance, which can be assigned to agents' behavior properties.
+ */
+function stateMachine(states, options) {
+  return new StateMachine(states, options);
+}
+
+/**
+ * Give the agent a behavior and start it in its initial state right away.
+ * @memberof Agent
+ * @instance
+ *
+ * @param {?StateMachine} behavior - The agent's new behavior, or null for none.
+ */
+function setBehavior(behavior) {
+  (this.behavior = behavior), (this.behavior_state = null);
+
+  if (behavior !== null) {
+    behavior.start(this);
+  }
+}
+
+/**
+ * Move the agent to a state of its behavior.
+ * @memberof Agent
+ * @instance
+ *
+ * @param {string} state_name - The name of the state.
+ */
+function setBehaviorState(state_name) {
+  if (this.behavior === null) {
+    throw new Error("The agent has no behavior.");
+  }
+
+  this.behavior.transition(this, state_name);
+}
+
+/**
+ * Fire an event on the agent, like any Leaflet layer, and let its behavior respond to it.
+ * @memberof Agent
+ * @instance
+ * @private
+ *
+ * @param {string} type - The type of the event.
+ * @param {object} [data] - The event's data.
+ * @param {boolean} [propagate] - Whether the event should propagate to the agent's parents, like the agents featureGroup.
+ * @returns {Agent} - The agent.
+ */
+function fire(type, data, propagate) {
+  L.CircleMarker.prototype.fire.call(this, type, data, propagate);
+
+  //Most events, like the move event fired on every step, go unhandled, so don't build them for the behavior unless it'll use them.
+  if (
+    this.behavior !== null &&
+    typeof this.behavior !== "undefined" &&
+    this.behavior.handles(this, type)
+  ) {
+    this.behavior.handle(
+      this,
+      type,
+      Object.assign({ type: type, target: this }, data),
+    );
+  }
+
+  return this;
+}
+
+(Agent.prototype.setBehavior = setBehavior),
+  (Agent.prototype.setBehaviorState = setBehaviorState),
+  (Agent.prototype.fire = fire);
+
+(exports.StateMachine = StateMachine), (exports.stateMachine = stateMachine);
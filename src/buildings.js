@@ -24,6 +24,8 @@ let bearing = require("@turf/bearing").default,
  * @param {number} [unit_options.side_buffer = 3] - The number of meters between two units on the same street.
  * @param {number} [unit_options.length = 14] - The length of the unit in meters along the street.
  * @param {number} [unit_options.depth = 18] - The depth of the unit in meters out from its front.
+ * @param {number} [unit_options.capacity = Infinity] - The most agents that can be in a unit at once, unless its feature has its own capacity property.
+ * What agents do when they get to a full unit depends on the agentmap's full_unit_policy; see {@link Agentmap#setFullUnitPolicy}.
  * @param {object} [unit_layers]- If you want to load a previously generated AgentMaps.units object instead of generating one from scratch: A GeoJSON Feature Collection of an AgentMaps.units featureGroup.
  * @param {object} [street_layers]- If you want to load a previously generated AgentMaps.streets object instead of generating one from scratch: A GeoJSON Feature Collection of an AgentMaps.streets featureGroup.
  */
@@ -74,8 +76,8 @@ function setupStreetFeatures(OSM_data, street_options, street_layers) {
     street_feature_collection = street_layers;
   }
 
-  this.streets = L.geoJSON(street_feature_collection, street_options).addTo(
-    this.map,
+  this.streets = this.addToMap(
+    L.geoJSON(street_feature_collection, street_options),
   );
 
   //Map streets' OSM IDs to their Leaflet IDs.
@@ -185,6 +187,7 @@ function setupUnitFeatures(
     side_buffer: 3,
     length: 14,
     depth: 18,
+    capacity: Infinity,
   };
 
   unit_options = Object.assign(default_options, unit_options);
@@ -208,7 +211,7 @@ function setupUnitFeatures(
     unit_feature_collection = unit_layers;
   }
 
-  this.units = L.geoJSON(unit_feature_collection, unit_options).addTo(this.map);
+  this.units = this.addToMap(L.geoJSON(unit_feature_collection, unit_options));
 
   //Having added the units as layers to the map, do any processing that requires access to those layers.
   this.units.eachLayer(function (unit) {
@@ -220,6 +223,13 @@ function setupUnitFeatures(
     }
 
     (unit.street_anchors = unit.feature.properties.street_anchors),
+      //Keep track of which agents are in the unit, and which are waiting at its door to get in.
+      (unit.occupants = new Set()),
+      (unit.queue = []),
+      (unit.capacity =
+        typeof unit.feature.properties.capacity === "number"
+          ? unit.feature.properties.capacity
+          : unit_options.capacity),
       //Change the IDs of each unit in this unit's neighbours array into the appropriate Leaflet IDs.
       (unit.neighbors = getUnitNeighborLayerIDs.call(
         this,
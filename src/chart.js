@@ -0,0 +1,295 @@
+/* This file is part of AgentMaps which is released under the Simplified BSD License. */
+
+/* A Leaflet control that charts the model-level data of a DataCollector as the simulation runs. */
+
+/**
+ * A Leaflet control that plots the model-level data recorded by a {@link DataCollector} as a line chart,
+ * with a legend showing each variable's latest value. It's redrawn at the end of each tick.
+ * @class AgentmapChart
+ *
+ * @example
+ * let collector = agentmap.collect({
+ * 	model_reporters: {
+ * 		infected: agentmap => agentmap.agents.getLayers().filter(agent => agent.infected).length,
+ * 		healthy: agentmap => agentmap.agents.getLayers().filter(agent => !agent.infected).length
+ * 	}
+ * });
+ *
+ * L.control.agentmapChart(collector, { position: "bottomleft", title: "Infections" }).addTo(map);
+ *
+ * @param {DataCollector} collector - The collector whose model-level data should be charted.
+ * @param {object} [options] - Options for the control.
+ * @param {string} [options.position="topright"] - Where on the map to put the control, like any Leaflet control.
+ * @param {?Array<string>} [options.reporters=null] - The names of the model reporters to plot. All of them by default.
+ * @param {?string} [options.title=null] - A title to show above the chart.
+ * @param {number} [options.width=300] - The width of the chart, in pixels.
+ * @param {number} [options.height=150] - The height of the chart, in pixels.
+ * @param {Array<string>} [options.colors] - The CSS colors of the lines, in the order of the reporters. Reused if there are more reporters than colors.
+ * @param {number} [options.window=Infinity] - The number of most recent ticks to show, or Infinity to show every tick since the start.
+ * @property {DataCollector} collector - The collector whose data is charted.
+ */
+let AgentmapChart = L.Control.extend({
+  options: {
+    position: "topright",
+    reporters: null,
+    title: null,
+    width: 300,
+    height: 150,
+    colors: [
+      "#d62728",
+      "#1f77b4",
+      "#2ca02c",
+      "#ff7f0e",
+      "#9467bd",
+      "#8c564b",
+      "#e377c2",
+      "#7f7f7f",
+    ],
+    window: Infinity,
+  },
+
+  initialize: function (collector, options) {
+    L.setOptions(this, options);
+
+    (this.collector = collector), (this.update = this.update.bind(this));
+  },
+
+  onAdd: function (map) {
+    let container = L.DomUtil.create("div", "agentmap-chart leaflet-bar");
+    (container.style.background = "white"),
+      (container.style.padding = "6px"),
+      (container.style.font = "12px sans-serif");
+
+    if (this.options.title !== null) {
+      let title = L.DomUtil.create("div", "agentmap-chart-title", container);
+      (title.textContent = this.options.title),
+        (title.style.fontWeight = "bold"),
+        (title.style.marginBottom = "4px");
+    }
+
+    let ratio = window.devicePixelRatio || 1;
+    this.canvas = L.DomUtil.create(
+      "canvas",
+      "agentmap-chart-canvas",
+      container,
+    );
+    (this.canvas.width = this.options.width * ratio),
+      (this.canvas.height = this.options.height * ratio),
+      (this.canvas.style.width = this.options.width + "px"),
+      (this.canvas.style.height = this.options.height + "px"),
+      (this.canvas.style.display = "block");
+
+    this.context = this.canvas.getContext("2d");
+    this.context.scale(ratio, ratio);
+
+    this.legend = L.DomUtil.create("div", "agentmap-chart-legend", container);
+
+    //Keep clicks and scrolls on the chart from moving the map.
+    L.DomEvent.disableClickPropagation(container);
+    L.DomEvent.disableScrollPropagation(container);
+
+    this.collector.agentmap.on("tickend clear", this.update);
+    this.update();
+
+    return container;
+  },
+
+  onRemove: function (map) {
+    this.collector.agentmap.off("tickend clear", this.update);
+  },
+
+  /**
+   * Redraw the chart and legend with the data collected so far.
+   */
+  update: function () {
+    let names = this.getReporterNames(),
+      rows = this.collector.model_data;
+
+    if (rows.length > 0 && this.options.window !== Infinity) {
+      let first_tick = rows[rows.length - 1].tick - this.options.window;
+      rows = rows.filter((row) => row.tick > first_tick);
+    }
+
+    this.drawChart(names, rows);
+    this.drawLegend(names, rows);
+  },
+
+  /**
+   * Get the names of the reporters to plot.
+   * @private
+   *
+   * @returns {Array<string>} - The names of the reporters.
+   */
+  getReporterNames: function () {
+    return this.options.reporters === null
+      ? Object.keys(this.collector.model_reporters)
+      : this.options.reporters;
+  },
+
+  /**
+   * Get the color of the line for the iᵗʰ reporter.
+   * @private
+   *
+   * @param {number} i - The index of the reporter.
+   * @returns {string} - A CSS color.
+   */
+  getColor: function (i) {
+    return this.options.colors[i % this.options.colors.length];
+  },
+
+  /**
+   * Draw a line for each reporter, scaled so that all of them fit.
+   * @private
+   *
+   * @param {Array<string>} names - The names of the reporters to plot.
+   * @param {Array<object>} rows - The rows of model data to plot.
+   */
+  drawChart: function (names, rows) {
+    let context = this.context,
+      width = this.options.width,
+      height = this.options.height,
+      margin = { top: 6, right: 6, bottom: 16, left: 36 },
+      plot_width = width - margin.left - margin.right,
+      plot_height = height - margin.top - margin.bottom;
+
+    context.clearRect(0, 0, width, height);
+
+    //Find the range of the data, always including 0 so that counts are shown in proportion.
+    let min_value = 0,
+      max_value = 0;
+
+    for (let row of rows) {
+      for (let name of names) {
+        let value = row[name];
+
+        if (typeof value === "number" && isFinite(value)) {
+          (min_value = Math.min(min_value, value)),
+            (max_value = Math.max(max_value, value));
+        }
+      }
+    }
+
+    if (max_value === min_value) {
+      max_value = min_value + 1;
+    }
+
+    let first_tick = rows.length > 0 ? rows[0].tick : 0,
+      last_tick = rows.length > 0 ? rows[rows.length - 1].tick : 0,
+      tick_span = Math.max(last_tick - first_tick, 1),
+      x = (tick) =>
+        margin.left + ((tick - first_tick) / tick_span) * plot_width,
+      y = (value) =>
+        margin.top +
+        plot_height -
+        ((value - min_value) / (max_value - min_value)) * plot_height;
+
+    //Draw the axes and label their ends.
+    context.strokeStyle = "#999";
+    context.lineWidth = 1;
+    context.beginPath();
+    context.moveTo(margin.left, margin.top);
+    context.lineTo(margin.left, margin.top + plot_height);
+    context.lineTo(margin.left + plot_width, margin.top + plot_height);
+    context.stroke();
+
+    context.fillStyle = "#333";
+    context.font = "10px sans-serif";
+    context.textAlign = "right";
+    context.textBaseline = "middle";
+    context.fillText(formatValue(max_value), margin.left - 3, y(max_value));
+    context.fillText(formatValue(min_value), margin.left - 3, y(min_value));
+
+    context.textBaseline = "top";
+    context.textAlign = "left";
+    context.fillText(first_tick, margin.left, margin.top + plot_height + 3);
+    context.textAlign = "right";
+    context.fillText(
+      last_tick,
+      margin.left + plot_width,
+      margin.top + plot_height + 3,
+    );
+
+    //Draw a line for each reporter, skipping over rows without a numeric value.
+    names.forEach(function (name, i) {
+      let drawing = false;
+
+      context.strokeStyle = this.getColor(i);
+      context.lineWidth = 1.5;
+      context.beginPath();
+
+      for (let row of rows) {
+        let value = row[name];
+
+        if (typeof value !== "number" || !isFinite(value)) {
+          drawing = false;
+        } else if (drawing) {
+          context.lineTo(x(row.tick), y(value));
+        } else {
+          context.moveTo(x(row.tick), y(value));
+          drawing = true;
+        }
+      }
+
+      context.stroke();
+    }, this);
+  },
+
+  /**
+   * List each reporter's color, name, and latest value.
+   * @private
+   *
+   * @param {Array<string>} names - The names of the reporters to plot.
+   * @param {Array<object>} rows - The rows of model data to plot.
+   */
+  drawLegend: function (names, rows) {
+    let latest_row = rows.length > 0 ? rows[rows.length - 1] : {};
+
+    this.legend.innerHTML = "";
+
+    names.forEach(function (name, i) {
+      let entry = L.DomUtil.create("div", "agentmap-chart-entry", this.legend),
+        swatch = L.DomUtil.create("span", "agentmap-chart-swatch", entry),
+        label = L.DomUtil.create("span", "agentmap-chart-label", entry),
+        value = latest_row[name];
+
+      (swatch.style.display = "inline-block"),
+        (swatch.style.width = "10px"),
+        (swatch.style.height = "10px"),
+        (swatch.style.marginRight = "4px"),
+        (swatch.style.background = this.getColor(i));
+
+      label.textContent =
+        name + ": " + (typeof value === "undefined" ? "–" : formatValue(value));
+    }, this);
+  },
+});
+
+/**
+ * Format a value for display in a chart.
+ * @private
+ *
+ * @param {*} value - The value.
+ * @returns {string} - The value, rounded to at most two decimal places if it's a number.
+ */
+function formatValue(value) {
+  return typeof value === "number"
+    ? String(Math.round(value * 100) / 100)
+    : String(value);
+}
+
+/**
+ * Returns a control charting the model-level data recorded by a {@link DataCollector}.
+ *
+ * @param {DataCollector} collector - The collector whose model-level data should be charted.
+ * @param {object} [options] - Options for the control; see {@link AgentmapChart}.
+ * @returns {AgentmapChart} - An AgentmapChart instance, which can be added to a map with its addTo method.
+ */
+function agentmapChart(collector, options) {
+  return new AgentmapChart(collector, options);
+}
+
+(L.Control.AgentmapChart = AgentmapChart),
+  (L.control.agentmapChart = agentmapChart);
+
+(exports.AgentmapChart = AgentmapChart),
+  (exports.agentmapChart = agentmapChart);
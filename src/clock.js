@@ -0,0 +1,206 @@
+/* This file is part of AgentMaps which is released under the Simplified BSD License. */
+
+/* The Clock class, which maps an agentmap's ticks to simulated dates & times of day. */
+
+/**
+ * A clock that converts between an agentmap's ticks and simulated real-world time.
+ *
+ * @class Clock
+ * @param {Agentmap} agentmap - The agentmap whose ticks the clock keeps time by.
+ * @param {object} [options] - Options for the clock.
+ * @param {number} [options.seconds_per_tick=1] - The number of simulated seconds that pass in one tick. Must be positive.
+ * @param {Date|string|number} [options.start] - The simulated date & time at tick 0, as a Date or anything the Date constructor accepts.
+ * Midnight (local time) on January 1st, 2000 by default.
+ * @property {Agentmap} agentmap - The agentmap whose ticks the clock keeps time by.
+ * @property {number} seconds_per_tick - The number of simulated seconds that pass in one tick.
+ * @property {Date} start - The simulated date & time at tick 0.
+ */
+function Clock(agentmap, options = {}) {
+  let seconds_per_tick =
+      typeof options.seconds_per_tick === "undefined"
+        ? 1
+        : options.seconds_per_tick,
+    start =
+      typeof options.start === "undefined"
+        ? new Date(2000, 0, 1)
+        : new Date(options.start);
+
+  if (!(seconds_per_tick > 0)) {
+    throw new Error("seconds_per_tick must be a positive number!");
+  } else if (isNaN(start.getTime())) {
+    throw new Error("The clock's start must be a valid date!");
+  }
+
+  (this.agentmap = agentmap),
+    (this.seconds_per_tick = seconds_per_tick),
+    (this.start = start);
+}
+
+/**
+ * Get the simulated date & time of the current tick.
+ *
+ * @returns {Date} - The current simulated date & time.
+ */
+Clock.prototype.now = function () {
+  return this.timeAt(this.agentmap.state.ticks || 0);
+};
+
+/**
+ * Get the simulated date & time of any tick.
+ *
+ * @param {number} tick - The number of ticks since the start of the simulation.
+ * @returns {Date} - The simulated date & time at that tick.
+ */
+Clock.prototype.timeAt = function (tick) {
+  return new Date(this.start.getTime() + tick * this.seconds_per_tick * 1000);
+};
+
+/**
+ * Get the first tick at or after a simulated date & time.
+ *
+ * @param {Date|string|number} time - A date & time, as a Date or anything the Date constructor accepts.
+ * @returns {number} - The number of ticks since the start of the simulation at which that time will have been reached.
+ */
+Clock.prototype.tickAt = function (time) {
+  let elapsed_seconds =
+    (new Date(time).getTime() - this.start.getTime()) / 1000;
+
+  if (isNaN(elapsed_seconds)) {
+    throw new Error("The time must be a valid date!");
+  }
+
+  return Math.ceil(elapsed_seconds / this.seconds_per_tick);
+};
+
+/**
+ * Get the first tick at or after the current one (or another) at which the simulated clock reads a given time of day.
+ *
+ * @param {string} time_of_day - A 24-hour time of day, like "08:00" or "17:30:15".
+ * @param {number} [from_tick] - The tick to look from. The current tick by default.
+ * @returns {number} - The number of ticks since the start of the simulation at the next occurrence of that time of day.
+ */
+Clock.prototype.nextTickAt = function (time_of_day, from_tick) {
+  let match = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(time_of_day);
+
+  if (match === null || match[1] > 23 || match[2] > 59 || match[3] > 59) {
+    throw new Error(
+      'Invalid time of day: it must look like "08:00" or "17:30:15".',
+    );
+  }
+
+  let current_tick =
+      typeof from_tick === "undefined"
+        ? this.agentmap.state.ticks || 0
+        : from_tick,
+    time = this.timeAt(current_tick);
+  time.setHours(match[1], match[2], match[3] || 0, 0);
+
+  if (this.tickAt(time) < current_tick) {
+    time.setDate(time.getDate() + 1);
+  }
+
+  return this.tickAt(time);
+};
+
+/**
+ * Get the current simulated hour of the day.
+ *
+ * @returns {number} - An integer from 0 to 23.
+ */
+Clock.prototype.hour = function () {
+  return this.now().getHours();
+};
+
+/**
+ * Get the current simulated minute of the hour.
+ *
+ * @returns {number} - An integer from 0 to 59.
+ */
+Clock.prototype.minute = function () {
+  return this.now().getMinutes();
+};
+
+/**
+ * Get the current simulated day of the week.
+ *
+ * @returns {number} - An integer from 0 (Sunday) to 6 (Saturday).
+ */
+Clock.prototype.dayOfWeek = function () {
+  return this.now().getDay();
+};
+
+/**
+ * Convert a simulated duration into a number of ticks.
+ *
+ * @param {number|string} duration - Either a number of simulated seconds, or a string with one of the units "s", "min", "h", "d", or "ticks"
+ * (e.g. "30 min" or "8 h").
+ * @returns {number} - The closest whole number of ticks lasting that long.
+ */
+Clock.prototype.toTicks = function (duration) {
+  if (typeof duration === "number") {
+    return Math.round(duration / this.seconds_per_tick);
+  }
+
+  let match = /^\s*(\d*\.?\d+)\s*(s|min|h|d|ticks?)\s*$/.exec(duration);
+
+  if (match === null) {
+    throw new Error(
+      'Invalid duration: duration must be a number or a string like "90 s", "30 min", "8 h", "1 d", or "10 ticks".',
+    );
+  }
+
+  let value = parseFloat(match[1]),
+    unit = match[2],
+    seconds_per_unit = { s: 1, min: 60, h: 3600, d: 86400 };
+
+  if (unit === "tick" || unit === "ticks") {
+    return Math.round(value);
+  } else {
+    return Math.round((value * seconds_per_unit[unit]) / this.seconds_per_tick);
+  }
+};
+
+/**
+ * Convert a speed into meters per tick, the unit agents travel in.
+ *
+ * @param {number|string} speed - Either a number of meters per tick, or a string with one of the units "km/h", "m/s", or "m/tick"
+ * (e.g. "30 km/h" or "1.4 m/s").
+ * @returns {number} - The speed in meters per tick.
+ */
+Clock.prototype.toMetersPerTick = function (speed) {
+  if (typeof speed === "number") {
+    return speed;
+  }
+
+  let match = /^\s*(\d*\.?\d+)\s*(km\/h|m\/s|m\/tick)\s*$/.exec(speed);
+
+  if (match === null) {
+    throw new Error(
+      'Invalid speed: speed must be a number or a string like "30 km/h", "1.4 m/s", or "2 m/tick".',
+    );
+  }
+
+  let value = parseFloat(match[1]),
+    unit = match[2];
+
+  if (unit === "km/h") {
+    return ((value * 1000) / 3600) * this.seconds_per_tick;
+  } else if (unit === "m/s") {
+    return value * this.seconds_per_tick;
+  } else {
+    return value;
+  }
+};
+
+/**
+ * Returns a clock for the given agentmap.
+ *
+ * @param {Agentmap} agentmap - The agentmap whose ticks the clock keeps time by.
+ * @param {object} [options] - Options for the clock; see {@link Clock}.
+ * @returns {Clock} - A Clock instance.
+ */
+function clock(agentmap, options) {
+  return new Clock(agentmap, options);
+}
+
+(exports.Clock = Clock), (exports.clock = clock);
@@ -0,0 +1,254 @@
+/* This file is part of AgentMaps which is released under the Simplified BSD License. */
+
+/* The DataCollector class, which records model-level and agent-level data as a simulation runs. */
+
+let Agentmap = require("./agentmap").Agentmap;
+
+/**
+ * A reporter for a {@link DataCollector}: either a function that returns the value to record, or the name of a property to record.
+ * Model reporters are given the agentmap (and are bound to it); agent reporters are given each agent (and are bound to it).
+ *
+ * @typedef {function|string} Reporter
+ */
+
+/**
+ * Records the values of some reporters for the model as a whole and for each agent at the end of every so many ticks.
+ * The data collected so far is deleted whenever the agentmap is cleared.
+ *
+ * @example
+ * let collector = agentmap.collect({
+ * 	model_reporters: {
+ * 		infected: agentmap => agentmap.agents.getLayers().filter(agent => agent.infected).length
+ * 	},
+ * 	agent_reporters: {
+ * 		infected: "infected",
+ * 		place_type: agent => agent.place.type
+ * 	},
+ * 	interval: 10
+ * });
+ *
+ * @class DataCollector
+ * @param {Agentmap} agentmap - The agentmap whose data will be collected.
+ * @param {object} [options] - Options for the collector.
+ * @param {object} [options.model_reporters={}] - An object mapping the names of the model-level variables to record to their {@link Reporter}s.
+ * @param {object} [options.agent_reporters={}] - An object mapping the names of the agent-level variables to record to their {@link Reporter}s.
+ * @param {number} [options.interval=1] - Collect data at the end of every tick that's a multiple of this. Must be a positive integer.
+ * @property {Agentmap} agentmap - The agentmap whose data is collected.
+ * @property {object} model_reporters - An object mapping the names of the model-level variables to their reporters.
+ * @property {object} agent_reporters - An object mapping the names of the agent-level variables to their reporters.
+ * @property {number} interval - The number of ticks between collections.
+ * @property {boolean} collecting - Whether the collector is currently collecting data at the end of each tick.
+ * @property {Array<object>} model_data - A row for each collection, with its tick and the value of each model reporter.
+ * @property {Array<object>} agent_data - A row for each agent at each collection, with the tick, the agent's ID, and the value of each agent reporter.
+ */
+function DataCollector(agentmap, options = {}) {
+  let interval = typeof options.interval === "undefined" ? 1 : options.interval;
+
+  if (!(Number.isInteger(interval) && interval > 0)) {
+    throw new Error("The collection interval must be a positive integer!");
+  }
+
+  (this.agentmap = agentmap),
+    (this.model_reporters = Object.assign({}, options.model_reporters)),
+    (this.agent_reporters = Object.assign({}, options.agent_reporters)),
+    (this.interval = interval),
+    (this.collecting = false),
+    (this.model_data = []),
+    (this.agent_data = []),
+    (this.onTickEnd = this.onTickEnd.bind(this));
+
+  this.agentmap.on("clear", this.reset, this);
+}
+
+/**
+ * Start collecting data at the end of each tick.
+ */
+DataCollector.prototype.start = function () {
+  if (this.collecting === false) {
+    this.collecting = true;
+    this.agentmap.on("tickend", this.onTickEnd);
+  }
+};
+
+/**
+ * Stop collecting data.
+ */
+DataCollector.prototype.stop = function () {
+  if (this.collecting === true) {
+    this.collecting = false;
+    this.agentmap.off("tickend", this.onTickEnd);
+  }
+};
+
+/**
+ * Collect data if the tick ending is a multiple of the interval.
+ * @private
+ *
+ * @param {object} e - The agentmap's tickend event.
+ */
+DataCollector.prototype.onTickEnd = function (e) {
+  if (e.tick % this.interval === 0) {
+    this.collect(e.tick);
+  }
+};
+
+/**
+ * Record the current value of every reporter.
+ *
+ * @param {number} tick - The tick to label the data with.
+ */
+DataCollector.prototype.collect = function (tick) {
+  if (Object.keys(this.model_reporters).length > 0) {
+    let row = { tick: tick };
+
+    for (let name in this.model_reporters) {
+      row[name] = report(this.model_reporters[name], this.agentmap);
+    }
+
+    this.model_data.push(row);
+  }
+
+  if (
+    Object.keys(this.agent_reporters).length > 0 &&
+    this.agentmap.agents !== null
+  ) {
+    this.agentmap.agents.eachLayer(function (agent) {
+      let row = { tick: tick, agent_id: agent._leaflet_id };
+
+      for (let name in this.agent_reporters) {
+        row[name] = report(this.agent_reporters[name], agent);
+      }
+
+      this.agent_data.push(row);
+    }, this);
+  }
+};
+
+/**
+ * Delete all of the data collected so far.
+ */
+DataCollector.prototype.reset = function () {
+  (this.model_data = []), (this.agent_data = []);
+};
+
+/**
+ * Get the data collected so far as CSV.
+ *
+ * @param {string} [level="model"] - Which data to get: "model" or "agent".
+ * @returns {string} - The data, with a header row naming the columns.
+ */
+DataCollector.prototype.toCSV = function (level = "model") {
+  return L.A.rowsToCSV(this.getData(level));
+};
+
+/**
+ * Get the data collected so far as JSON.
+ *
+ * @returns {string} - A JSON object with the model_data and agent_data arrays.
+ */
+DataCollector.prototype.toJSON = function () {
+  return JSON.stringify({
+    model_data: this.model_data,
+    agent_data: this.agent_data,
+  });
+};
+
+/**
+ * Have the browser download the data collected so far.
+ *
+ * @param {string} [format="csv"] - The file format: "csv" or "json". A CSV file only contains one level of data.
+ * @param {string} [level="model"] - If the format is CSV, which data to download: "model" or "agent".
+ */
+DataCollector.prototype.download = function (format = "csv", level = "model") {
+  if (format === "json") {
+    L.A.downloadFile("data.json", this.toJSON());
+  } else {
+    L.A.downloadFile(level + "_data.csv", this.toCSV(level));
+  }
+};
+
+/**
+ * Write the data collected so far to a file with a function that writes files, like Node's fs.writeFileSync,
+ * so that the collector itself doesn't depend on any filesystem.
+ *
+ * @example
+ * collector.save("model_data.csv", require("fs").writeFileSync);
+ *
+ * @param {string} file_path - The path of the file to write. The data will be JSON if it ends in ".json" and CSV otherwise.
+ * @param {function} write - A function that is given the file path and the data as a string, and writes the file.
+ * @param {string} [level="model"] - If writing CSV, which data to write: "model" or "agent".
+ */
+DataCollector.prototype.save = function (file_path, write, level = "model") {
+  if (typeof write !== "function") {
+    throw new Error(
+      "Saving data needs a function that writes files; in the browser, use download instead.",
+    );
+  }
+
+  let contents = /\.json$/i.test(file_path) ? this.toJSON() : this.toCSV(level);
+
+  write(file_path, contents);
+};
+
+/**
+ * Get the rows of data for one level.
+ * @private
+ *
+ * @param {string} level - Either "model" or "agent".
+ * @returns {Array<object>} - The rows of data collected for that level.
+ */
+DataCollector.prototype.getData = function (level) {
+  if (level === "model") {
+    return this.model_data;
+  } else if (level === "agent") {
+    return this.agent_data;
+  } else {
+    throw new Error('The level must be either "model" or "agent"!');
+  }
+};
+
+/**
+ * Get the value of a reporter for an agentmap or agent.
+ * Objects are copied, so that later changes to them don't change the recorded data.
+ * @private
+ *
+ * @param {Reporter} reporter - The reporter.
+ * @param {Agentmap|Agent} subject - The agentmap or agent to report on.
+ * @returns {*} - The reported value.
+ */
+function report(reporter, subject) {
+  let value;
+
+  if (typeof reporter === "function") {
+    value = reporter.call(subject, subject);
+  } else if (typeof reporter === "string") {
+    value = subject[reporter];
+  } else {
+    throw new Error(
+      "A reporter must be either a function or the name of a property!",
+    );
+  }
+
+  return typeof value === "object" && value !== null
+    ? JSON.parse(JSON.stringify(value))
+    : value;
+}
+
+/**
+ * Start collecting data from the agentmap, and return the collector doing it.
+ * @memberof Agentmap
+ * @instance
+ *
+ * @param {object} [options] - Options for the collector; see {@link DataCollector}.
+ * @returns {DataCollector} - The collector, whose data can be exported at any time.
+ */
+function collect(options) {
+  let collector = new DataCollector(this, options);
+  collector.start();
+
+  return collector;
+}
+
+Agentmap.prototype.collect = collect;
+
+exports.DataCollector = DataCollector;
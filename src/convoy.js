@@ -0,0 +1,309 @@
+/* This file is part of AgentMaps which is released under the Simplified BSD License. */
+
+/* The Convoy class, for groups of agents that travel together along one agent's path, and the functions for scheduling their trips. */
+
+let destination = require("@turf/destination").default,
+  Agentmap = require("./agentmap").Agentmap,
+  Agent = require("./agents").Agent;
+
+/**
+ * A group of agents traveling together, like a family or a bus and its passengers. The leader travels as usual, and the followers,
+ * instead of moving on their own, are kept at fixed offsets around it (so that they don't overlap) and take on its places as it goes.
+ * The followers depart, arrive, and complete the trip along with the leader, firing the same events, and the convoy disbands when
+ * the leader's trip is complete or is reset before it could be (e.g. when it's turned away from a full unit). If the leader is redirected
+ * from a full unit to another one instead, the convoy goes there with it.<br/><br/>
+ *
+ * While an agent is following a convoy, calling its moveIt method does nothing. Trips scheduled for it start once the convoy disbands.
+ * Convoys are saved in snapshots.
+ *
+ * @class Convoy
+ * @param {Agent} leader - The agent whose path the convoy travels along.
+ * @param {Array<Agent>} followers - The agents that travel with the leader. They're moved to their offsets around the leader right away,
+ * and any of them partway through trips of their own have those trips reset.
+ * @param {number} [spacing=2] - About how far apart, in meters, the followers are kept from the leader and from each other.
+ * @property {Agent} leader - The agent whose path the convoy travels along.
+ * @property {Array<Agent>} followers - The agents that travel with the leader.
+ * @property {Map<Agent, Array<number>>} offsets - A map from each follower to the latitude and longitude it is kept from the leader.
+ */
+function Convoy(leader, followers, spacing = 2) {
+  if (!(spacing >= 0)) {
+    throw new Error("The spacing must be a non-negative number!");
+  }
+
+  for (let agent of [leader, ...followers]) {
+    if (agent.convoy !== null) {
+      throw new Error("An agent can only be in one convoy at a time!");
+    }
+  }
+
+  (this.leader = leader),
+    (this.followers = followers.filter((agent) => agent !== leader)),
+    (this.offsets = new Map());
+
+  //Spread the followers out in a ring around the leader, wide enough that each is at least the spacing from the next.
+  let leader_coords = L.A.pointToCoordinateArray(leader.getLatLng()),
+    count = this.followers.length,
+    radius =
+      count < 2
+        ? spacing
+        : Math.max(spacing, spacing / (2 * Math.sin(Math.PI / count)));
+
+  this.followers.forEach(function (follower, i) {
+    let offset_coords = destination(
+      leader_coords,
+      radius * 0.001,
+      (360 * i) / count - 180,
+    ).geometry.coordinates;
+
+    this.offsets.set(follower, [
+      offset_coords[1] - leader_coords[1],
+      offset_coords[0] - leader_coords[0],
+    ]);
+  }, this);
+
+  this.join();
+}
+
+/**
+ * Have the members of the convoy start traveling together.
+ * @private
+ */
+Convoy.prototype.join = function () {
+  this.leader.convoy = this;
+
+  for (let follower of this.followers) {
+    if (follower.trip.goal_point !== null) {
+      follower.resetTrip();
+    }
+
+    follower.convoy = this;
+    follower.setPlace(this.leader.place);
+  }
+
+  this.follow(this.leader.agentmap.animation_interval > 0);
+
+  this.leader.on(
+    {
+      placechange: this.onPlaceChange,
+      departure: this.onDeparture,
+      arrive: this.onArrive,
+      tripcomplete: this.onTripComplete,
+      tripreset: this.onTripReset,
+    },
+    this,
+  );
+  this.leader.agentmap.on(
+    { agentremove: this.onAgentRemove, clear: this.disband },
+    this,
+  );
+};
+
+/**
+ * Move the followers to their offsets around the leader.
+ * @private
+ *
+ * @param {boolean} redraw - Whether to redraw the followers where they are now, rather than waiting until the agents are next redrawn.
+ */
+Convoy.prototype.follow = function (redraw) {
+  let leader_lat_lng = this.leader._latlng,
+    agent_index = this.leader.agentmap.agent_index;
+
+  for (let follower of this.followers) {
+    let offset = this.offsets.get(follower),
+      lat_lng = L.latLng(
+        leader_lat_lng.lat + offset[0],
+        leader_lat_lng.lng + offset[1],
+      );
+
+    if (redraw) {
+      follower.setLatLng(lat_lng);
+    } else {
+      follower._latlng = lat_lng;
+
+      if (agent_index !== null) {
+        agent_index.update(follower, lat_lng);
+      }
+    }
+  }
+};
+
+/**
+ * Take a follower out of the convoy, leaving it where it is.
+ *
+ * @param {Agent} follower - The follower.
+ */
+Convoy.prototype.removeFollower = function (follower) {
+  let index = this.followers.indexOf(follower);
+
+  if (index !== -1) {
+    this.followers.splice(index, 1);
+    this.offsets.delete(follower);
+    follower.convoy = null;
+  }
+};
+
+/**
+ * Break up the convoy, leaving its members where they are to travel on their own.
+ */
+Convoy.prototype.disband = function () {
+  this.leader.off(
+    {
+      placechange: this.onPlaceChange,
+      departure: this.onDeparture,
+      arrive: this.onArrive,
+      tripcomplete: this.onTripComplete,
+      tripreset: this.onTripReset,
+    },
+    this,
+  );
+  this.leader.agentmap.off(
+    { agentremove: this.onAgentRemove, clear: this.disband },
+    this,
+  );
+
+  this.leader.convoy = null;
+
+  for (let follower of this.followers.slice()) {
+    this.removeFollower(follower);
+  }
+};
+
+/**
+ * Move the followers into the leader's new place.
+ * @private
+ *
+ * @param {object} e - The leader's placechange event.
+ */
+Convoy.prototype.onPlaceChange = function (e) {
+  for (let follower of this.followers) {
+    follower.setPlace(e.place);
+  }
+};
+
+/**
+ * Have the followers depart along with the leader.
+ * @private
+ *
+ * @param {object} e - The leader's departure event.
+ */
+Convoy.prototype.onDeparture = function (e) {
+  for (let follower of this.followers) {
+    follower.fire("departure", { place: e.place, goal: e.goal }, true);
+  }
+};
+
+/**
+ * Have the followers arrive along with the leader.
+ * @private
+ *
+ * @param {object} e - The leader's arrive event.
+ */
+Convoy.prototype.onArrive = function (e) {
+  for (let follower of this.followers) {
+    follower.fire("arrive", { point: e.point, place: e.place }, true);
+  }
+};
+
+/**
+ * Disband the convoy once the leader's trip is complete, and have the followers complete it too.
+ * @private
+ *
+ * @param {object} e - The leader's tripcomplete event.
+ */
+Convoy.prototype.onTripComplete = function (e) {
+  let followers = this.followers.slice();
+
+  this.disband();
+
+  for (let follower of followers) {
+    follower.fire("tripcomplete", { place: e.place }, true);
+  }
+};
+
+/**
+ * Disband the convoy if the leader's trip is reset, unless it's only being redirected from a full unit, in which case the followers keep following it.
+ * @private
+ *
+ * @param {object} e - The leader's tripreset event.
+ */
+Convoy.prototype.onTripReset = function (e) {
+  if (e.redirect_id === null) {
+    this.disband();
+  }
+};
+
+/**
+ * Disband the convoy if its leader is removed from the agentmap, or take a follower out of it if it's removed.
+ * @private
+ *
+ * @param {object} e - The agentmap's agentremove event.
+ */
+Convoy.prototype.onAgentRemove = function (e) {
+  if (e.agent === this.leader) {
+    this.disband();
+  } else {
+    this.removeFollower(e.agent);
+  }
+};
+
+/**
+ * Schedule a group of agents to travel together to a place as a convoy. The path to the place is only found once, for the first agent,
+ * which leads the convoy, and the rest follow it; see {@link Convoy}. The agents' currently scheduled trips are replaced.
+ * @memberof Agentmap
+ * @instance
+ *
+ * @example
+ * let family = agentmap.agents.getLayers().filter(agent => agent.home_id === home_id);
+ * agentmap.scheduleGroupTrip(family, agentmap.getUnitPoint(school_id, .5, .5), { type: "unit", id: school_id }, "5 km/h");
+ *
+ * @param {Array<Agent>} agents - The agents, which should all be in the same place. The first leads the convoy.
+ * @param {LatLng} goal_lat_lng - The point within the place to which the agents are to travel.
+ * @param {Place} goal_place - The place to which the agents will travel.
+ * @param {number|string} [speed=1] - The speed the agents should travel at, in any form accepted by {@link Agent#scheduleTrip}.
+ * @param {number} [spacing=2] - About how far apart, in meters, the agents are kept from each other.
+ * @returns {Convoy} - The convoy.
+ */
+function scheduleGroupTrip(
+  agents,
+  goal_lat_lng,
+  goal_place,
+  speed = 1,
+  spacing = 2,
+) {
+  if (agents.length === 0) {
+    throw new Error("A group trip needs at least one agent!");
+  }
+
+  for (let agent of agents) {
+    agent.leaveConvoy();
+    agent.resetTrip();
+  }
+
+  let leader = agents[0];
+  leader.setTravelToPlace(goal_lat_lng, goal_place, speed);
+
+  return new Convoy(leader, agents.slice(1), spacing);
+}
+
+/**
+ * Have the agent leave the convoy it's in, if any. If it's the leader, the convoy is disbanded.
+ * @memberof Agent
+ * @instance
+ */
+function leaveConvoy() {
+  if (this.convoy === null) {
+    return;
+  }
+
+  if (this.convoy.leader === this) {
+    this.convoy.disband();
+  } else {
+    this.convoy.removeFollower(this);
+  }
+}
+
+Agentmap.prototype.scheduleGroupTrip = scheduleGroupTrip;
+
+Agent.prototype.leaveConvoy = leaveConvoy;
+
+exports.Convoy = Convoy;
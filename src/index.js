@@ -2,7 +2,39 @@
 
 let agentmap = require("./agentmap"),
   agents = require("./agents"),
+  clock = require("./clock"),
   buildings = require("./buildings"),
+  random = require("./random"),
+  snapshot = require("./snapshot"),
+  recorder = require("./recorder"),
+  collector = require("./collector"),
+  behavior = require("./behavior"),
+  activities = require("./activities"),
+  spatial = require("./spatial"),
+  messaging = require("./messaging"),
+  social = require("./social"),
+  convoy = require("./convoy"),
+  chart = require("./chart"),
+  panel = require("./panel"),
+  profiler = require("./profiler"),
+  worker = require("./worker"),
   utils = require("./utils");
 
-L.A = Object.assign({}, agentmap, agents, utils);
+L.A = Object.assign(
+  {},
+  agentmap,
+  agents,
+  clock,
+  recorder,
+  collector,
+  behavior,
+  activities,
+  spatial,
+  social,
+  convoy,
+  chart,
+  panel,
+  profiler,
+  worker,
+  utils,
+);
@@ -0,0 +1,132 @@
+/* This file is part of AgentMaps which is released under the Simplified BSD License. */
+
+/* Functions that let agents send each other messages, which are delivered at the start of the next tick. */
+
+let Agentmap = require("./agentmap").Agentmap,
+  Agent = require("./agents").Agent;
+
+/**
+ * A message sent from one agent to another.
+ *
+ * @typedef {object} Message
+ * @property {Agent} sender - The agent that sent the message.
+ * @property {*} content - What the message says: anything the sender wants.
+ * @property {number} tick - The tick the message was sent during.
+ */
+
+/**
+ * Fired when a message is delivered to an agent, at the start of the tick after it was sent.
+ *
+ * @event Agent#message
+ * @type {object}
+ * @property {Message} message - The message.
+ */
+
+/**
+ * Send a message to one or more agents. Messages sent during a tick are delivered together at the start of the next tick,
+ * into the inbox of each recipient, so that it doesn't matter which agents act first: every agent reads the messages from the tick before.
+ * @memberof Agent
+ * @instance
+ *
+ * @example
+ * agent.controller = function () {
+ * 	for (let message of this.inbox) {
+ * 		if (message.content === "cough") {
+ * 			this.exposed = true;
+ * 		}
+ * 	}
+ *
+ * 	if (this.infected) {
+ * 		this.broadcast("cough", 5);
+ * 	}
+ * };
+ *
+ * @param {Agent|Array<Agent>} recipients - The agent or agents to send the message to.
+ * @param {*} content - What the message says.
+ */
+function send(recipients, content) {
+  recipients = Array.isArray(recipients) ? recipients : [recipients];
+
+  let message = {
+    sender: this,
+    content: content,
+    tick: this.agentmap.state.ticks || 0,
+  };
+
+  for (let recipient of recipients) {
+    if (!(recipient instanceof Agent)) {
+      throw new Error("Messages can only be sent to agents!");
+    }
+
+    this.agentmap.state.pending_messages.push({
+      recipient: recipient,
+      message: message,
+    });
+  }
+}
+
+/**
+ * Send a message to every other agent in a unit, as of when the message is sent.
+ * @memberof Agent
+ * @instance
+ *
+ * @param {number} unit_id - The ID of the unit.
+ * @param {*} content - What the message says.
+ */
+function sendToUnit(unit_id, content) {
+  this.send(
+    this.agentmap.agentsInUnit(unit_id).filter((agent) => agent !== this),
+    content,
+  );
+}
+
+/**
+ * Send a message to every other agent within some distance of the agent, as of when the message is sent.
+ * @memberof Agent
+ * @instance
+ *
+ * @param {*} content - What the message says.
+ * @param {number} radius - The distance, in meters.
+ */
+function broadcast(content, radius) {
+  this.send(this.neighbors(radius), content);
+}
+
+/**
+ * Empty the inboxes of the agents that got messages last tick, and deliver the messages sent since.
+ * @memberof Agentmap
+ * @instance
+ * @private
+ *
+ * @fires Agent#message
+ */
+function deliverMessages() {
+  for (let agent of this.state.message_recipients) {
+    agent.inbox = [];
+  }
+
+  let deliveries = this.state.pending_messages;
+  (this.state.pending_messages = []), (this.state.message_recipients = []);
+
+  for (let delivery of deliveries) {
+    let recipient = delivery.recipient;
+
+    //Messages to agents that have since been removed are dropped.
+    if (this.agents === null || !this.agents.hasLayer(recipient)) {
+      continue;
+    }
+
+    if (recipient.inbox.length === 0) {
+      this.state.message_recipients.push(recipient);
+    }
+
+    recipient.inbox.push(delivery.message);
+    recipient.fire("message", { message: delivery.message }, true);
+  }
+}
+
+Agentmap.prototype.deliverMessages = deliverMessages;
+
+(Agent.prototype.send = send),
+  (Agent.prototype.sendToUnit = sendToUnit),
+  (Agent.prototype.broadcast = broadcast);
@@ -0,0 +1,232 @@
+/* This file is part of AgentMaps which is released under the Simplified BSD License. */
+
+/* A Leaflet control with buttons and inputs for running, pausing, stepping, and clearing a simulation. */
+
+/**
+ * A Leaflet control for running a simulation: buttons to run or pause it, advance it by a tick, and clear it;
+ * a display of the current tick or simulated time; a slider for the number of ticks per animation frame;
+ * a checkbox for turbo mode; and a selector for the animation interval.
+ * @class AgentmapPanel
+ *
+ * @example
+ * L.control.agentmapPanel(agentmap, { display: "both" }).addTo(map);
+ *
+ * @param {Agentmap} agentmap - The agentmap to control.
+ * @param {object} [options] - Options for the control.
+ * @param {string} [options.position="topleft"] - Where on the map to put the control, like any Leaflet control.
+ * @param {string} [options.display="tick"] - What to show: "tick" for the number of ticks elapsed, "time" for the simulated time on the agentmap's clock, or "both".
+ * @param {function} [options.formatTime] - A function that, given a Date from the agentmap's clock, returns the text to show for it.
+ * Uses the Date's toLocaleString method by default.
+ * @param {number} [options.max_ticks_per_frame=20] - The highest number of ticks per animation frame the speed slider can be set to.
+ * @param {Array<number>} [options.animation_intervals=[0, 1, 2, 5, 10]] - The animation intervals to choose from. See {@link Agentmap#setAnimationInterval}.
+ * @property {Agentmap} agentmap - The agentmap being controlled.
+ */
+let AgentmapPanel = L.Control.extend({
+  options: {
+    position: "topleft",
+    display: "tick",
+    formatTime: (time) => time.toLocaleString(),
+    max_ticks_per_frame: 20,
+    animation_intervals: [0, 1, 2, 5, 10],
+  },
+
+  initialize: function (agentmap, options) {
+    L.setOptions(this, options);
+
+    (this.agentmap = agentmap), (this.update = this.update.bind(this));
+  },
+
+  onAdd: function (map) {
+    let container = L.DomUtil.create("div", "agentmap-panel leaflet-bar");
+    (container.style.background = "white"),
+      (container.style.padding = "6px"),
+      (container.style.font = "12px sans-serif");
+
+    //The buttons.
+    let buttons = L.DomUtil.create("div", "agentmap-panel-buttons", container);
+
+    this.run_button = this.createButton("Run", buttons, function () {
+      if (this.agentmap.state.running) {
+        this.agentmap.pause();
+      } else {
+        this.agentmap.run();
+      }
+    });
+    this.createButton("Step", buttons, function () {
+      this.agentmap.step();
+      this.update();
+    });
+    this.createButton("Clear", buttons, function () {
+      this.agentmap.clear();
+    });
+
+    //The display of the current tick or time.
+    this.display = L.DomUtil.create("div", "agentmap-panel-display", container);
+    this.display.style.margin = "4px 0";
+
+    //The slider for the number of ticks per animation frame.
+    let speed = L.DomUtil.create("label", "agentmap-panel-speed", container);
+    speed.style.display = "block";
+
+    this.speed_slider = L.DomUtil.create("input", "", speed);
+    (this.speed_slider.type = "range"),
+      (this.speed_slider.min = 1),
+      (this.speed_slider.max = Math.max(
+        this.options.max_ticks_per_frame,
+        this.agentmap.ticks_per_frame,
+      )),
+      (this.speed_slider.step = 1),
+      (this.speed_slider.value = this.agentmap.ticks_per_frame),
+      (this.speed_label = L.DomUtil.create("span", "", speed));
+
+    L.DomEvent.on(
+      this.speed_slider,
+      "input change",
+      function () {
+        this.agentmap.setTicksPerFrame(parseInt(this.speed_slider.value));
+        this.update();
+      },
+      this,
+    );
+
+    //The checkbox for turbo mode.
+    let turbo = L.DomUtil.create("label", "agentmap-panel-turbo", container);
+    turbo.style.display = "block";
+
+    this.turbo_checkbox = L.DomUtil.create("input", "", turbo);
+    (this.turbo_checkbox.type = "checkbox"),
+      (this.turbo_checkbox.checked = this.agentmap.turbo);
+    turbo.appendChild(document.createTextNode(" Turbo"));
+
+    L.DomEvent.on(
+      this.turbo_checkbox,
+      "change",
+      function () {
+        this.agentmap.setTurbo(this.turbo_checkbox.checked);
+        this.update();
+      },
+      this,
+    );
+
+    //The selector for the animation interval.
+    let interval = L.DomUtil.create(
+      "label",
+      "agentmap-panel-interval",
+      container,
+    );
+    (interval.style.display = "block"),
+      (interval.textContent = "Redraw agents every ");
+
+    this.interval_select = L.DomUtil.create("select", "", interval);
+
+    let intervals = this.options.animation_intervals.slice();
+    if (!intervals.includes(this.agentmap.animation_interval)) {
+      intervals.push(this.agentmap.animation_interval);
+    }
+
+    for (let animation_interval of intervals) {
+      let option = L.DomUtil.create("option", "", this.interval_select);
+      (option.value = animation_interval),
+        (option.textContent =
+          animation_interval === 0
+            ? "never"
+            : animation_interval === 1
+              ? "step"
+              : animation_interval + " steps");
+    }
+
+    this.interval_select.value = this.agentmap.animation_interval;
+
+    L.DomEvent.on(
+      this.interval_select,
+      "change",
+      function () {
+        this.agentmap.setAnimationInterval(
+          parseInt(this.interval_select.value),
+        );
+      },
+      this,
+    );
+
+    //Keep clicks and scrolls on the panel from moving the map.
+    L.DomEvent.disableClickPropagation(container);
+    L.DomEvent.disableScrollPropagation(container);
+
+    this.agentmap.on("tickend run pause clear", this.update);
+    this.update();
+
+    return container;
+  },
+
+  onRemove: function (map) {
+    this.agentmap.off("tickend run pause clear", this.update);
+  },
+
+  /**
+   * Make a button that calls a function when clicked.
+   * @private
+   *
+   * @param {string} text - The button's text.
+   * @param {HTMLElement} parent - The element to put the button in.
+   * @param {function} onClick - The function to call, bound to the panel.
+   * @returns {HTMLElement} - The button.
+   */
+  createButton: function (text, parent, onClick) {
+    let button = L.DomUtil.create("button", "agentmap-panel-button", parent);
+    (button.type = "button"),
+      (button.textContent = text),
+      (button.style.marginRight = "4px");
+
+    L.DomEvent.on(button, "click", onClick, this);
+
+    return button;
+  },
+
+  /**
+   * Show the simulation's current state.
+   *
+   * @param {object} [e] - The agentmap event that prompted the update, if any.
+   */
+  update: function (e) {
+    //At the end of a tick, the tick hasn't yet been counted as elapsed.
+    let ticks =
+        e && e.type === "tickend" ? e.tick + 1 : this.agentmap.state.ticks || 0,
+      text = [];
+
+    if (this.options.display === "tick" || this.options.display === "both") {
+      text.push("Tick: " + ticks);
+    }
+    if (this.options.display === "time" || this.options.display === "both") {
+      text.push(this.options.formatTime(this.agentmap.clock.timeAt(ticks)));
+    }
+
+    (this.display.textContent = text.join(" | ")),
+      (this.run_button.textContent = this.agentmap.state.running
+        ? "Pause"
+        : "Run"),
+      (this.speed_slider.disabled = this.agentmap.turbo),
+      (this.speed_label.textContent = this.agentmap.turbo
+        ? " as many ticks as fit in each frame"
+        : " " +
+          this.agentmap.ticks_per_frame +
+          (this.agentmap.ticks_per_frame === 1 ? " tick" : " ticks") +
+          " per frame");
+  },
+});
+
+/**
+ * Returns a control for running, pausing, stepping, and clearing a simulation.
+ *
+ * @param {Agentmap} agentmap - The agentmap to control.
+ * @param {object} [options] - Options for the control; see {@link AgentmapPanel}.
+ * @returns {AgentmapPanel} - An AgentmapPanel instance, which can be added to a map with its addTo method.
+ */
+function agentmapPanel(agentmap, options) {
+  return new AgentmapPanel(agentmap, options);
+}
+
+(L.Control.AgentmapPanel = AgentmapPanel),
+  (L.control.agentmapPanel = agentmapPanel);
+
+(exports.AgentmapPanel = AgentmapPanel),
+  (exports.agentmapPanel = agentmapPanel);
@@ -0,0 +1,355 @@
+/* This file is part of AgentMaps which is released under the Simplified BSD License. */
+
+/* The Profiler class, which measures where the time goes in each tick of a simulation, and a Leaflet control that shows it. */
+
+let Agentmap = require("./agentmap").Agentmap,
+  Agent = require("./agents").Agent;
+
+//The parts of a tick that are timed, besides whatever else happens in it ("other").
+let sections = [
+  "controller",
+  "agent_controllers",
+  "trip_planning",
+  "routing",
+  "movement",
+];
+
+/**
+ * A record of how long one tick took, as made by a {@link Profiler}. All times are in milliseconds, and each time
+ * excludes the time spent in the other sections (e.g. agent_controllers doesn't include the movement the controllers cause).
+ *
+ * @typedef {object} TickProfile
+ * @property {number} tick - The tick.
+ * @property {number} total - The time the whole tick took.
+ * @property {number} controller - The time spent in the agentmap's controller.
+ * @property {number} agent_controllers - The time spent in the agents' controllers.
+ * @property {number} trip_planning - The time spent in {@link Agent#setTravelToPlace}.
+ * @property {number} routing - The time spent finding paths along the streets, in {@link Agentmap#getPath}.
+ * @property {number} movement - The time spent moving agents, in {@link Agent#travel} and {@link Agent#step}.
+ * @property {number} other - The time spent on everything else, like scheduled callbacks and event listeners.
+ */
+
+/**
+ * Times each tick of a simulation, broken down into the agentmap's controller, the agents' controllers,
+ * trip planning, routing, and movement.
+ *
+ * @class Profiler
+ * @param {Agentmap} agentmap - The agentmap to profile.
+ * @param {object} [options] - Options for the profiler.
+ * @param {number} [options.max_ticks=1000] - The number of most recent ticks to keep records of. Must be a positive integer.
+ * @property {Agentmap} agentmap - The agentmap being profiled.
+ * @property {number} max_ticks - The number of most recent ticks to keep records of.
+ * @property {Array<TickProfile>} ticks - The records of the most recent ticks, in order.
+ * @property {object} calls - An object mapping each section to the number of times it has been entered.
+ */
+function Profiler(agentmap, options = {}) {
+  let max_ticks =
+    typeof options.max_ticks === "undefined" ? 1000 : options.max_ticks;
+
+  if (!(Number.isInteger(max_ticks) && max_ticks > 0)) {
+    throw new Error("The max_ticks must be a positive integer!");
+  }
+
+  (this.agentmap = agentmap),
+    (this.max_ticks = max_ticks),
+    (this.ticks = []),
+    (this.calls = {}),
+    (this.current = null),
+    (this.stack = []);
+
+  for (let section of sections) {
+    this.calls[section] = 0;
+  }
+}
+
+/**
+ * Start timing the agentmap's ticks.
+ */
+Profiler.prototype.start = function () {
+  this.agentmap.profiler = this;
+};
+
+/**
+ * Stop timing the agentmap's ticks.
+ */
+Profiler.prototype.stop = function () {
+  if (this.agentmap.profiler === this) {
+    this.agentmap.profiler = null;
+  }
+
+  (this.current = null), (this.stack = []);
+};
+
+/**
+ * Delete the records made so far.
+ */
+Profiler.prototype.reset = function () {
+  this.ticks = [];
+
+  for (let section of sections) {
+    this.calls[section] = 0;
+  }
+};
+
+/**
+ * Start timing a tick.
+ * @private
+ *
+ * @param {number} tick - The tick that's starting.
+ */
+Profiler.prototype.startTick = function (tick) {
+  let time = L.A.now();
+
+  this.current = { tick: tick, start: time, times: {} };
+  this.stack = [{ section: "other", resumed: time }];
+
+  for (let section of sections.concat("other")) {
+    this.current.times[section] = 0;
+  }
+};
+
+/**
+ * Stop timing a tick and record how long it took.
+ * @private
+ */
+Profiler.prototype.endTick = function () {
+  if (this.current === null) {
+    return;
+  }
+
+  let time = L.A.now(),
+    record = { tick: this.current.tick, total: time - this.current.start };
+
+  //Whatever is still being timed (normally just "other") is over too.
+  for (let entry of this.stack) {
+    this.current.times[entry.section] += time - entry.resumed;
+    entry.resumed = time;
+  }
+
+  Object.assign(record, this.current.times);
+
+  this.ticks.push(record);
+  if (this.ticks.length > this.max_ticks) {
+    this.ticks.shift();
+  }
+
+  (this.current = null), (this.stack = []);
+};
+
+/**
+ * Start timing a section, pausing the section it was entered from.
+ * @private
+ *
+ * @param {string} section - The section being entered.
+ */
+Profiler.prototype.enter = function (section) {
+  this.calls[section] += 1;
+
+  if (this.current === null) {
+    return;
+  }
+
+  let time = L.A.now(),
+    parent = this.stack[this.stack.length - 1];
+
+  this.current.times[parent.section] += time - parent.resumed;
+  this.stack.push({ section: section, resumed: time });
+};
+
+/**
+ * Stop timing the latest section entered, resuming the section it was entered from.
+ * @private
+ */
+Profiler.prototype.exit = function () {
+  if (this.current === null || this.stack.length < 2) {
+    return;
+  }
+
+  let time = L.A.now(),
+    entry = this.stack.pop();
+
+  this.current.times[entry.section] += time - entry.resumed;
+  this.stack[this.stack.length - 1].resumed = time;
+};
+
+/**
+ * Get the average time per tick spent in each section, over the most recent ticks.
+ *
+ * @param {number} [tick_count=Infinity] - The number of most recent ticks to average over. All recorded ticks by default.
+ * @returns {object} - An object mapping "total", "other", and each section to its average time in milliseconds, along with
+ * a "ticks" property with the number of ticks averaged over.
+ */
+Profiler.prototype.getSummary = function (tick_count = Infinity) {
+  let records = this.ticks.slice(-Math.min(tick_count, this.ticks.length)),
+    summary = { ticks: records.length };
+
+  for (let key of ["total"].concat(sections, "other")) {
+    let sum = records.reduce((sum, record) => sum + record[key], 0);
+    summary[key] = records.length === 0 ? 0 : sum / records.length;
+  }
+
+  return summary;
+};
+
+/**
+ * Get the records of the most recent ticks as CSV.
+ *
+ * @returns {string} - A row for each tick, with the time spent in each section.
+ */
+Profiler.prototype.toCSV = function () {
+  return L.A.rowsToCSV(this.ticks);
+};
+
+/**
+ * Wrap a method so that the time spent in it is counted toward a section whenever its agentmap is being profiled.
+ * @private
+ *
+ * @param {string} section - The section the method belongs to.
+ * @param {function} method - The method.
+ * @returns {function} - The wrapped method.
+ */
+function profiled(section, method) {
+  return function () {
+    let agentmap = this instanceof Agentmap ? this : this.agentmap,
+      profiler = agentmap ? agentmap.profiler : null;
+
+    if (profiler === null || typeof profiler === "undefined") {
+      return method.apply(this, arguments);
+    }
+
+    profiler.enter(section);
+
+    try {
+      return method.apply(this, arguments);
+    } finally {
+      profiler.exit();
+    }
+  };
+}
+
+(Agent.prototype.setTravelToPlace = profiled(
+  "trip_planning",
+  Agent.prototype.setTravelToPlace,
+)),
+  (Agent.prototype.scheduleTrip = Agent.prototype.setTravelToPlace),
+  (Agent.prototype.travel = profiled("movement", Agent.prototype.travel)),
+  (Agent.prototype.step = profiled("movement", Agent.prototype.step)),
+  (Agentmap.prototype.getPath = profiled(
+    "routing",
+    Agentmap.prototype.getPath,
+  ));
+
+/**
+ * Start timing each tick of the simulation, and return the profiler doing it.
+ * @memberof Agentmap
+ * @instance
+ *
+ * @example
+ * let profiler = agentmap.profile();
+ * agentmap.step(100);
+ * console.table(profiler.getSummary());
+ *
+ * @param {object} [options] - Options for the profiler; see {@link Profiler}.
+ * @returns {Profiler} - The profiler, whose records can be read at any time.
+ */
+function profile(options) {
+  let profiler = new Profiler(this, options);
+  profiler.start();
+
+  return profiler;
+}
+
+/**
+ * A Leaflet control that shows the average time per tick spent in each part of the simulation, as measured by a {@link Profiler}.
+ * @class AgentmapProfiler
+ *
+ * @example
+ * L.control.agentmapProfiler(agentmap.profile()).addTo(map);
+ *
+ * @param {Profiler} profiler - The profiler whose measurements should be shown.
+ * @param {object} [options] - Options for the control.
+ * @param {string} [options.position="bottomright"] - Where on the map to put the control, like any Leaflet control.
+ * @param {number} [options.tick_count=60] - The number of most recent ticks to average over.
+ * @param {number} [options.refresh_interval=10] - The number of ticks between refreshes of the numbers shown.
+ * @property {Profiler} profiler - The profiler whose measurements are shown.
+ */
+let AgentmapProfiler = L.Control.extend({
+  options: {
+    position: "bottomright",
+    tick_count: 60,
+    refresh_interval: 10,
+  },
+
+  initialize: function (profiler, options) {
+    L.setOptions(this, options);
+
+    (this.profiler = profiler), (this.onTickEnd = this.onTickEnd.bind(this));
+  },
+
+  onAdd: function (map) {
+    this.container = L.DomUtil.create("div", "agentmap-profiler leaflet-bar");
+    (this.container.style.background = "white"),
+      (this.container.style.padding = "6px"),
+      (this.container.style.font = "11px monospace"),
+      (this.container.style.whiteSpace = "pre");
+
+    L.DomEvent.disableClickPropagation(this.container);
+    L.DomEvent.disableScrollPropagation(this.container);
+
+    this.profiler.agentmap.on("tickend", this.onTickEnd);
+    this.update();
+
+    return this.container;
+  },
+
+  onRemove: function (map) {
+    this.profiler.agentmap.off("tickend", this.onTickEnd);
+  },
+
+  /**
+   * Refresh the numbers every refresh_interval ticks.
+   * @private
+   *
+   * @param {object} e - The agentmap's tickend event.
+   */
+  onTickEnd: function (e) {
+    //The tick that's ending hasn't been recorded yet, so the numbers shown are as of the tick before it.
+    if (e.tick % this.options.refresh_interval === 0) {
+      this.update();
+    }
+  },
+
+  /**
+   * Show the average time per tick spent in each part of the simulation.
+   */
+  update: function () {
+    let summary = this.profiler.getSummary(this.options.tick_count),
+      lines = ["ms/tick over " + summary.ticks + " ticks"];
+
+    for (let key of ["total"].concat(sections, "other")) {
+      lines.push(key.replace(/_/g, " ").padEnd(18) + summary[key].toFixed(2));
+    }
+
+    this.container.textContent = lines.join("\n");
+  },
+});
+
+/**
+ * Returns a control showing the measurements of a {@link Profiler}.
+ *
+ * @param {Profiler} profiler - The profiler whose measurements should be shown.
+ * @param {object} [options] - Options for the control; see {@link AgentmapProfiler}.
+ * @returns {AgentmapProfiler} - A AgentmapProfiler instance, which can be added to a map with its addTo method.
+ */
+function agentmapProfiler(profiler, options) {
+  return new AgentmapProfiler(profiler, options);
+}
+
+Agentmap.prototype.profile = profile;
+
+(L.Control.AgentmapProfiler = AgentmapProfiler),
+  (L.control.agentmapProfiler = agentmapProfiler);
+
+(exports.Profiler = Profiler),
+  (exports.AgentmapProfiler = AgentmapProfiler),
+  (exports.agentmapProfiler = agentmapProfiler);
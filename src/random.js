@@ -0,0 +1,80 @@
+/* This file is part of AgentMaps which is released under the Simplified BSD License. */
+
+/* A seedable random number generator for agentmaps, so that the same seed will reproduce a simulation exactly. */
+
+let Agentmap = require("./agentmap").Agentmap;
+
+/**
+ * Get a pseudorandom number from the agentmap's random number generator (a Mulberry32 generator).
+ * Use this instead of Math.random so that a simulation can be reproduced from its seed.
+ * @memberof Agentmap
+ * @instance
+ *
+ * @returns {number} - A number between 0 (inclusive) and 1 (exclusive).
+ */
+function random() {
+  let t = (this.state.random_state =
+    (this.state.random_state + 0x6d2b79f5) | 0);
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+/**
+ * Get a pseudorandom integer from the agentmap's random number generator.
+ * @memberof Agentmap
+ * @instance
+ *
+ * @param {number} min - The smallest integer that may be returned.
+ * @param {number} max - The integer right above the largest integer that may be returned.
+ * @returns {number} - An integer between min (inclusive) and max (exclusive).
+ */
+function randomInt(min, max) {
+  if (!Number.isInteger(min) || !Number.isInteger(max) || max <= min) {
+    throw new Error(
+      "min and max must be integers, and max must be greater than min!",
+    );
+  }
+
+  return min + Math.floor(this.random() * (max - min));
+}
+
+/**
+ * Pick a pseudorandom element of an array with the agentmap's random number generator.
+ * @memberof Agentmap
+ * @instance
+ *
+ * @param {Array} array - The array to pick from.
+ * @returns {*} - One of the array's elements, or undefined if the array is empty.
+ */
+function pick(array) {
+  if (array.length === 0) {
+    return undefined;
+  }
+
+  return array[this.randomInt(0, array.length)];
+}
+
+/**
+ * Shuffle an array in place with the agentmap's random number generator (a Fisher-Yates shuffle).
+ * @memberof Agentmap
+ * @instance
+ *
+ * @param {Array} array - The array to shuffle.
+ * @returns {Array} - The same array, shuffled.
+ */
+function shuffle(array) {
+  for (let i = array.length - 1; i > 0; i--) {
+    let j = this.randomInt(0, i + 1),
+      element = array[i];
+    (array[i] = array[j]), (array[j] = element);
+  }
+
+  return array;
+}
+
+(Agentmap.prototype.random = random),
+  (Agentmap.prototype.randomInt = randomInt),
+  (Agentmap.prototype.pick = pick),
+  (Agentmap.prototype.shuffle = shuffle);
@@ -0,0 +1,399 @@
+/* This file is part of AgentMaps which is released under the Simplified BSD License. */
+
+/* The Recorder class, which logs agents' trajectories as a simulation runs, and the Playback class, which replays them. */
+
+let Agentmap = require("./agentmap").Agentmap;
+
+/**
+ * A log of agents' positions and places over the course of a simulation, as made by a {@link Recorder}.
+ *
+ * @typedef {object} Recording
+ * @property {number} version - The version of the recording format.
+ * @property {number} interval - The number of ticks between frames.
+ * @property {object} agents - An object mapping each recorded agent's ID to its Leaflet layer options (like its color and radius).
+ * @property {Array<object>} frames - In order of tick, objects each with a tick property and an agents property: an array with
+ * an array for each agent that existed at that tick, of the form [id, lat, lng, place_type, place_id].
+ */
+
+/**
+ * Records every agent's position and place at the end of every so many ticks.
+ *
+ * @class Recorder
+ * @param {Agentmap} agentmap - The agentmap whose agents will be recorded.
+ * @param {object} [options] - Options for the recorder.
+ * @param {number} [options.interval=1] - Record the agents at the end of every tick that's a multiple of this. Must be a positive integer.
+ * @property {Agentmap} agentmap - The agentmap whose agents are recorded.
+ * @property {number} interval - The number of ticks between frames.
+ * @property {boolean} recording - Whether the recorder is currently recording.
+ * @property {object} agents - An object mapping each recorded agent's ID to its Leaflet layer options.
+ * @property {Array<object>} frames - The recorded frames, in order of tick.
+ */
+function Recorder(agentmap, options = {}) {
+  let interval = typeof options.interval === "undefined" ? 1 : options.interval;
+
+  if (!(Number.isInteger(interval) && interval > 0)) {
+    throw new Error("The recording interval must be a positive integer!");
+  }
+
+  (this.agentmap = agentmap),
+    (this.interval = interval),
+    (this.recording = false),
+    (this.agents = {}),
+    (this.frames = []),
+    (this.onTickEnd = this.onTickEnd.bind(this));
+}
+
+/**
+ * Start recording at the end of each tick.
+ */
+Recorder.prototype.start = function () {
+  if (this.recording === false) {
+    this.recording = true;
+    this.agentmap.on("tickend", this.onTickEnd);
+  }
+};
+
+/**
+ * Stop recording.
+ *
+ * @returns {Recording} - What has been recorded so far.
+ */
+Recorder.prototype.stop = function () {
+  if (this.recording === true) {
+    this.recording = false;
+    this.agentmap.off("tickend", this.onTickEnd);
+  }
+
+  return this.getRecording();
+};
+
+/**
+ * Record a frame if the tick ending is a multiple of the interval.
+ * @private
+ *
+ * @param {object} e - The agentmap's tickend event.
+ */
+Recorder.prototype.onTickEnd = function (e) {
+  if (e.tick % this.interval === 0) {
+    this.recordFrame(e.tick);
+  }
+};
+
+/**
+ * Record every agent's current position and place.
+ *
+ * @param {number} tick - The tick to label the frame with.
+ */
+Recorder.prototype.recordFrame = function (tick) {
+  let frame = { tick: tick, agents: [] };
+
+  if (this.agentmap.agents !== null) {
+    this.agentmap.agents.eachLayer(function (agent) {
+      let id = agent._leaflet_id,
+        lat_lng = agent.getLatLng(),
+        place = agent.place || { type: "unanchored" };
+
+      if (typeof this.agents[id] === "undefined") {
+        this.agents[id] = layerOptions(agent.options);
+      }
+
+      frame.agents.push([
+        id,
+        lat_lng.lat,
+        lat_lng.lng,
+        place.type,
+        typeof place.id === "undefined" ? null : place.id,
+      ]);
+    }, this);
+  }
+
+  this.frames.push(frame);
+};
+
+/**
+ * Get everything recorded so far.
+ *
+ * @returns {Recording} - A serializable recording that can be passed to {@link playback}.
+ */
+Recorder.prototype.getRecording = function () {
+  return {
+    version: 1,
+    interval: this.interval,
+    agents: this.agents,
+    frames: this.frames,
+  };
+};
+
+/**
+ * Have the browser download a JS file containing everything recorded so far, so that it can be
+ * included with an AgentMaps app (as the variable recording_data) and passed to {@link playback}.
+ */
+Recorder.prototype.download = function () {
+  let file_content =
+    "var recording_data = " + JSON.stringify(this.getRecording());
+
+  L.A.downloadFile("recording_data.js", file_content);
+};
+
+/**
+ * Get a copy of a layer's options with only those that can be converted to JSON.
+ * @private
+ *
+ * @param {object} options - A Leaflet layer's options.
+ * @returns {object} - The options that can be converted to JSON.
+ */
+function layerOptions(options) {
+  let copy = {};
+
+  for (let key in options) {
+    let value = options[key];
+
+    if (
+      typeof value === "string" ||
+      typeof value === "number" ||
+      typeof value === "boolean" ||
+      value === null
+    ) {
+      copy[key] = value;
+    }
+  }
+
+  return copy;
+}
+
+/**
+ * Start recording the agentmap's agents, and return the recorder doing it.
+ * @memberof Agentmap
+ * @instance
+ *
+ * @param {object} [options] - Options for the recorder; see {@link Recorder}.
+ * @returns {Recorder} - The recorder, which can be stopped to get the recording.
+ */
+function record(options) {
+  let recorder = new Recorder(this, options);
+  recorder.start();
+
+  return recorder;
+}
+
+/**
+ * Replays a {@link Recording} on a map, drawing the recorded agents at their recorded positions
+ * without running any part of the simulation.
+ * @class Playback
+ *
+ * @param {object} map - A Leaflet Map instance to draw the recorded agents on.
+ * @param {Recording} recording - The recording to replay.
+ * @property {object} map - The Leaflet Map instance the recorded agents are drawn on.
+ * @property {Recording} recording - The recording being replayed.
+ * @property {FeatureGroup} agents - A featureGroup containing a circleMarker for each recorded agent in the current frame.
+ * Each has the recorded agent's ID as its agent_id property and its recorded place as its place property.
+ * @property {?number} frame_index - The index of the frame being shown.
+ * @property {object} state - Properties detailing the state of the playback.
+ * @property {boolean} state.running - Whether the playback is running or not.
+ * @property {?number} state.animation_frame_id - The id of the playback's update function in the queue of functions to call for the coming animation frame.
+ * @fires Playback#frame
+ */
+let Playback = L.Evented.extend({
+  initialize: function (map, recording) {
+    if (recording.version !== 1) {
+      throw new Error(
+        "Unsupported recording version: " + recording.version + ".",
+      );
+    }
+
+    (this.map = map),
+      (this.recording = recording),
+      (this.agents = L.featureGroup()),
+      (this.markers = {}),
+      (this.frame_index = null),
+      (this.state = {
+        running: false,
+        animation_frame_id: null,
+      });
+
+    if (this.map !== null) {
+      this.agents.addTo(this.map);
+    }
+
+    if (recording.frames.length > 0) {
+      this.seek(0);
+    }
+  },
+
+  /**
+   * Fired whenever the playback shows a different frame.
+   *
+   * @event Playback#frame
+   * @type {object}
+   * @property {number} frame_index - The index of the frame being shown.
+   * @property {number} tick - The tick the frame was recorded at.
+   */
+
+  /**
+   * Show the agents as they were in a particular frame.
+   *
+   * @param {number} frame_index - The index of the frame in the recording.
+   */
+  seek: function (frame_index) {
+    let frame = this.recording.frames[frame_index];
+
+    if (typeof frame === "undefined") {
+      throw new Error("No frame exists at the specified index.");
+    }
+
+    let present = {};
+
+    for (let [id, lat, lng, place_type, place_id] of frame.agents) {
+      let marker = this.markers[id];
+
+      if (typeof marker === "undefined") {
+        marker = this.markers[id] = L.circleMarker(
+          [lat, lng],
+          this.recording.agents[id],
+        );
+        marker.agent_id = id;
+      } else {
+        marker.setLatLng([lat, lng]);
+      }
+
+      marker.place =
+        place_id === null
+          ? { type: place_type }
+          : { type: place_type, id: place_id };
+
+      if (!this.agents.hasLayer(marker)) {
+        this.agents.addLayer(marker);
+      }
+
+      present[id] = true;
+    }
+
+    //Hide the agents that didn't exist at the time of this frame.
+    for (let id in this.markers) {
+      if (!present[id] && this.agents.hasLayer(this.markers[id])) {
+        this.agents.removeLayer(this.markers[id]);
+      }
+    }
+
+    this.frame_index = frame_index;
+
+    this.fire("frame", { frame_index: frame_index, tick: frame.tick });
+  },
+
+  /**
+   * Show the agents as they were at the latest frame recorded at or before a particular tick.
+   *
+   * @param {number} tick - The tick to show.
+   */
+  seekTick: function (tick) {
+    let frames = this.recording.frames,
+      low = 0,
+      high = frames.length - 1;
+
+    if (frames.length === 0 || frames[0].tick > tick) {
+      throw new Error("No frame was recorded at or before the specified tick.");
+    }
+
+    //Binary search for the last frame whose tick is at most the given tick.
+    while (low < high) {
+      let middle = Math.ceil((low + high) / 2);
+
+      if (frames[middle].tick <= tick) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+
+    this.seek(low);
+  },
+
+  /**
+   * Show the next frame, if there is one.
+   *
+   * @returns {boolean} - Whether there was a next frame to show.
+   */
+  next: function () {
+    if (
+      this.frame_index === null ||
+      this.frame_index >= this.recording.frames.length - 1
+    ) {
+      return false;
+    }
+
+    this.seek(this.frame_index + 1);
+
+    return true;
+  },
+
+  /**
+   * Show the previous frame, if there is one.
+   *
+   * @returns {boolean} - Whether there was a previous frame to show.
+   */
+  previous: function () {
+    if (this.frame_index === null || this.frame_index === 0) {
+      return false;
+    }
+
+    this.seek(this.frame_index - 1);
+
+    return true;
+  },
+
+  /**
+   * Show the next frame on every animation frame, until paused or the end of the recording.
+   */
+  play: function () {
+    if (this.state.running === false) {
+      this.state.running = true;
+
+      let animation_update = function () {
+        if (this.next()) {
+          this.state.animation_frame_id =
+            L.Util.requestAnimFrame(animation_update);
+        } else {
+          this.pause();
+        }
+      }.bind(this);
+
+      this.state.animation_frame_id = L.Util.requestAnimFrame(animation_update);
+    }
+  },
+
+  /**
+   * Stop showing new frames.
+   */
+  pause: function () {
+    L.Util.cancelAnimFrame(this.state.animation_frame_id);
+    (this.state.running = false), (this.state.animation_frame_id = null);
+  },
+
+  /**
+   * Stop the playback and remove the recorded agents from the map.
+   */
+  remove: function () {
+    this.pause();
+
+    if (this.map !== null) {
+      this.map.removeLayer(this.agents);
+    }
+  },
+});
+
+/**
+ * Returns a playback of a recording on a map.
+ *
+ * @param {object} map - A Leaflet Map instance to draw the recorded agents on.
+ * @param {Recording} recording - The recording to replay.
+ * @returns {Playback} - A Playback instance, showing the first frame of the recording.
+ */
+function playback(map, recording) {
+  return new Playback(map, recording);
+}
+
+Agentmap.prototype.record = record;
+
+(exports.Recorder = Recorder),
+  (exports.Playback = Playback),
+  (exports.playback = playback);
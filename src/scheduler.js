@@ -0,0 +1,212 @@
+/* This file is part of AgentMaps which is released under the Simplified BSD License. */
+
+/* The Scheduler class, a priority queue of callbacks to be called at particular ticks of a simulation. */
+
+/**
+ * A callback scheduled to be called at a particular tick.
+ *
+ * @typedef {object} ScheduledEvent
+ * @property {number} tick - The tick at which the callback will next be called.
+ * @property {function} callback - The scheduled function. It will be given the tick it is called at.
+ * @property {object} context - What the callback will be bound to when it's called.
+ * @property {?number} interval - The number of ticks between calls if the event repeats, or null if it only happens once.
+ * @property {boolean} cancelled - Whether the event has been cancelled.
+ * @property {function} cancel - Cancel the event, so that it won't be called (again).
+ */
+
+/**
+ * A queue of scheduled callbacks, ordered by the tick they should be called at.
+ * Callbacks scheduled for the same tick are called in the order they were scheduled.
+ *
+ * @class Scheduler
+ * @property {Array<ScheduledEvent>} queue - A binary heap of scheduled events.
+ * @property {number} scheduled_count - The number of events that have ever been scheduled, used to order events scheduled for the same tick.
+ */
+function Scheduler() {
+  (this.queue = []), (this.scheduled_count = 0);
+}
+
+/**
+ * Schedule a callback.
+ *
+ * @param {number} tick - The tick at which to call the callback.
+ * @param {function} callback - The function to call. It will be given the tick it is called at.
+ * @param {object} context - What the callback should be bound to when it's called.
+ * @param {?number} [interval=null] - If the callback should be called repeatedly, the number of ticks between calls. Must be a positive integer.
+ * @returns {ScheduledEvent} - The scheduled event, which can be cancelled.
+ */
+Scheduler.prototype.add = function (tick, callback, context, interval = null) {
+  if (!Number.isInteger(tick)) {
+    throw new Error("Events must be scheduled for an integer tick!");
+  } else if (
+    interval !== null &&
+    !(Number.isInteger(interval) && interval > 0)
+  ) {
+    throw new Error(
+      "The interval of a repeating event must be a positive integer!",
+    );
+  } else if (typeof callback !== "function") {
+    throw new Error("The scheduled callback must be a function!");
+  }
+
+  let scheduler = this,
+    event = {
+      tick: tick,
+      callback: callback,
+      context: context,
+      interval: interval,
+      cancelled: false,
+      order: this.scheduled_count++,
+      cancel: function () {
+        scheduler.cancel(this);
+      },
+    };
+
+  this.push(event);
+
+  return event;
+};
+
+/**
+ * Cancel a scheduled event, so that it won't be called (again).
+ *
+ * @param {ScheduledEvent} event - The event to cancel.
+ */
+Scheduler.prototype.cancel = function (event) {
+  //The event is left in the queue and skipped when its tick comes up.
+  event.cancelled = true;
+};
+
+/**
+ * Cancel every scheduled event with a particular context, like all of an agent's events.
+ *
+ * @param {object} context - The context whose events should be cancelled.
+ */
+Scheduler.prototype.cancelContext = function (context) {
+  for (let event of this.queue) {
+    if (event.context === context) {
+      event.cancelled = true;
+    }
+  }
+};
+
+/**
+ * Call every event scheduled for the given tick or earlier, and reschedule the repeating ones.
+ *
+ * @param {number} tick - The current tick.
+ */
+Scheduler.prototype.dispatch = function (tick) {
+  while (this.queue.length > 0 && this.queue[0].tick <= tick) {
+    let event = this.pop();
+
+    if (event.cancelled) {
+      continue;
+    }
+
+    //Repeating events that were scheduled to start in the past are called once now, not once for each interval missed.
+    if (event.interval !== null) {
+      (event.tick = Math.max(event.tick, tick) + event.interval),
+        (event.order = this.scheduled_count++);
+      this.push(event);
+    } else {
+      event.cancelled = true;
+    }
+
+    event.callback.call(event.context, tick);
+  }
+};
+
+/**
+ * Cancel and remove all scheduled events.
+ */
+Scheduler.prototype.clear = function () {
+  for (let event of this.queue) {
+    event.cancelled = true;
+  }
+
+  this.queue = [];
+};
+
+/**
+ * Get the number of events that are still scheduled.
+ *
+ * @returns {number} - The number of scheduled events that have not been cancelled.
+ */
+Scheduler.prototype.count = function () {
+  return this.queue.filter((event) => !event.cancelled).length;
+};
+
+/**
+ * Check whether event a should be called before event b.
+ * @private
+ *
+ * @param {ScheduledEvent} a - A scheduled event.
+ * @param {ScheduledEvent} b - Another scheduled event.
+ * @returns {boolean} - Whether a comes before b.
+ */
+function precedes(a, b) {
+  return a.tick < b.tick || (a.tick === b.tick && a.order < b.order);
+}
+
+/**
+ * Add an event to the heap.
+ * @private
+ *
+ * @param {ScheduledEvent} event - The event to add.
+ */
+Scheduler.prototype.push = function (event) {
+  let queue = this.queue,
+    i = queue.length;
+  queue.push(event);
+
+  //Sift the event up until its parent precedes it.
+  while (i > 0) {
+    let parent = (i - 1) >> 1;
+
+    if (!precedes(queue[i], queue[parent])) {
+      break;
+    }
+
+    (queue[i] = queue[parent]), (queue[parent] = event), (i = parent);
+  }
+};
+
+/**
+ * Remove and return the earliest event in the heap.
+ * @private
+ *
+ * @returns {ScheduledEvent} - The earliest event.
+ */
+Scheduler.prototype.pop = function () {
+  let queue = this.queue,
+    top = queue[0],
+    last = queue.pop();
+
+  if (queue.length > 0) {
+    queue[0] = last;
+
+    //Sift the moved event down until it precedes both its children.
+    let i = 0;
+    while (true) {
+      let left = 2 * i + 1,
+        right = left + 1,
+        first = i;
+
+      if (left < queue.length && precedes(queue[left], queue[first])) {
+        first = left;
+      }
+      if (right < queue.length && precedes(queue[right], queue[first])) {
+        first = right;
+      }
+      if (first === i) {
+        break;
+      }
+
+      (queue[i] = queue[first]), (queue[first] = last), (i = first);
+    }
+  }
+
+  return top;
+};
+
+exports.Scheduler = Scheduler;
@@ -0,0 +1,444 @@
+/* This file is part of AgentMaps which is released under the Simplified BSD License. */
+
+/* Functions that save the state of a running simulation and restore it later. */
+
+let Agentmap = require("./agentmap").Agentmap,
+  Convoy = require("./convoy").Convoy;
+
+//Agent properties that are saved separately or that can't be saved at all.
+let unsaved_agent_keys = [
+  "agentmap",
+  "place",
+  "steps_made",
+  "trip",
+  "staged_changes",
+  "inbox",
+  "convoy",
+  "behavior",
+  "plan",
+  "controller",
+  "fine_controller",
+  "options",
+];
+
+/**
+ * A serializable record of the state of a simulation, as made by {@link Agentmap#snapshot}.
+ *
+ * @typedef {object} Snapshot
+ * @property {number} version - The version of the snapshot format.
+ * @property {object} state - The ticks elapsed, the state of the random number generator, and the number of agents spawned.
+ * @property {object} clock - The clock's seconds_per_tick and start time.
+ * @property {Array<object>} agents - A record of each agent: its ID, type, location, layer options, place, trip, and other properties.
+ * @property {Array<Array>} [ties] - The ties in the agentmap's social network, if it has one: the IDs of each pair of tied agents
+ * and an object mapping each kind of tie between them to its weight.
+ * @property {Array<Array>} [convoys] - The convoys traveling, if any: the ID of each convoy's leader, and the ID of each of its followers
+ * with the latitude and longitude it's kept from the leader.
+ */
+
+/**
+ * Get a serializable record of the state of the simulation: its ticks, random number generator, and clock,
+ * and each agent's location, place, trip, and other properties.<br/><br/>
+ *
+ * Places are saved by their units' and streets' feature IDs instead of their layer IDs, so a snapshot
+ * can be restored onto the same streets & units loaded in a different session. Functions (like controllers and scheduled callbacks)
+ * and properties that can't be converted to JSON (like references to other agents) are not saved.
+ * @memberof Agentmap
+ * @instance
+ *
+ * @returns {Snapshot} - A record of the simulation that can be passed to JSON.stringify.
+ */
+function snapshot() {
+  let agents = [],
+    convoys = [];
+
+  if (this.agents !== null) {
+    this.agents.eachLayer(function (agent) {
+      agents.push(agentRecord.call(this, agent));
+
+      if (agent.convoy !== null && agent.convoy.leader === agent) {
+        convoys.push([
+          agent._leaflet_id,
+          agent.convoy.followers.map((follower) => [
+            follower._leaflet_id,
+            ...agent.convoy.offsets.get(follower),
+          ]),
+        ]);
+      }
+    }, this);
+  }
+
+  let record = {
+    version: 1,
+    state: {
+      ticks: this.state.ticks,
+      seed: this.state.seed,
+      random_state: this.state.random_state,
+      agents_spawned: this.state.agents_spawned,
+    },
+    clock: {
+      seconds_per_tick: this.clock.seconds_per_tick,
+      start: this.clock.start.toISOString(),
+    },
+    agents: agents,
+  };
+
+  if (this.social_network !== null) {
+    record.ties = this.social_network
+      .getTies()
+      .map((tie) => [tie.agent._leaflet_id, tie.other._leaflet_id, tie.types]);
+  }
+
+  if (convoys.length > 0) {
+    record.convoys = convoys;
+  }
+
+  return record;
+}
+
+/**
+ * Replace the simulation's agents and state with those recorded in a snapshot.
+ * The streets and units must already be set up with the same features as when the snapshot was taken.<br/><br/>
+ *
+ * Since functions aren't saved, the restored agents' controllers will need to be set again (unless they come from the agents' types,
+ * which must be defined with the same names as when the snapshot was taken). The agents being replaced are removed as with {@link Agentmap#removeAgent},
+ * which cancels their scheduled callbacks; the agentmap's own scheduled callbacks are left as they are.
+ * @memberof Agentmap
+ * @instance
+ *
+ * @param {Snapshot} snapshot - A snapshot from {@link Agentmap#snapshot}, or one that was converted to JSON and parsed back.
+ * @returns {object} - An object mapping the IDs the agents had when the snapshot was taken to the restored agents.
+ */
+function restore(snapshot) {
+  if (snapshot.version !== 1) {
+    throw new Error("Unsupported snapshot version: " + snapshot.version + ".");
+  }
+
+  if (!(this.agents instanceof L.LayerGroup)) {
+    this.agents = this.addToMap(L.featureGroup());
+  }
+
+  //Remove the agents being replaced the usual way, right away even during a tick, so that their scheduled callbacks are cancelled
+  //and everything keeping track of them (like convoys and the index of agents) lets them go.
+  let pending_removals = this.state.pending_removals;
+  this.state.pending_removals = null;
+
+  for (let agent of this.agents.getLayers()) {
+    this.removeAgent(agent);
+  }
+
+  this.state.pending_removals = pending_removals;
+
+  let unit_id_map = {};
+  this.units.eachLayer(function (unit) {
+    unit_id_map[unit.feature.properties.id] = this.units.getLayerId(unit);
+    (unit.occupants = new Set()), (unit.queue = []);
+  }, this);
+
+  let restored_agents = {};
+  for (let record of snapshot.agents) {
+    restored_agents[record.id] = restoreAgent.call(this, record, unit_id_map);
+  }
+
+  //The social network only has ties between the restored agents.
+  if (this.social_network !== null) {
+    this.social_network.clear();
+  }
+
+  if (Array.isArray(snapshot.ties)) {
+    let network = this.getSocialNetwork();
+
+    for (let [id, other_id, types] of snapshot.ties) {
+      for (let type in types) {
+        network.addTie(
+          restored_agents[id],
+          restored_agents[other_id],
+          type,
+          types[type],
+        );
+      }
+    }
+  }
+
+  if (Array.isArray(snapshot.convoys)) {
+    for (let [leader_id, followers] of snapshot.convoys) {
+      let convoy = new Convoy(
+        restored_agents[leader_id],
+        followers.map(([id]) => restored_agents[id]),
+      );
+
+      for (let [id, lat_offset, lng_offset] of followers) {
+        convoy.offsets.set(restored_agents[id], [lat_offset, lng_offset]);
+      }
+
+      convoy.follow(this.animation_interval > 0);
+    }
+  }
+
+  //Messages in transit aren't saved, and any to the agents being replaced are dropped.
+  (this.state.pending_messages = []), (this.state.message_recipients = []);
+
+  (this.state.ticks = snapshot.state.ticks),
+    (this.state.seed = snapshot.state.seed),
+    (this.state.random_state = snapshot.state.random_state),
+    (this.state.agents_spawned =
+      typeof snapshot.state.agents_spawned === "undefined"
+        ? snapshot.agents.length
+        : snapshot.state.agents_spawned),
+    (this.clock.seconds_per_tick = snapshot.clock.seconds_per_tick),
+    (this.clock.start = new Date(snapshot.clock.start));
+
+  return restored_agents;
+}
+
+/**
+ * Have the browser download a JS file containing a snapshot of the simulation, so that it can be
+ * included with an AgentMaps app (as the variable snapshot_data) and passed to {@link Agentmap#restore}.
+ * @memberof Agentmap
+ * @instance
+ */
+function downloadSnapshot() {
+  let file_content = "var snapshot_data = " + JSON.stringify(this.snapshot());
+
+  L.A.downloadFile("snapshot_data.js", file_content);
+}
+
+/**
+ * Make a serializable record of an agent.
+ * @private
+ *
+ * @param {Agent} agent - The agent to record.
+ * @returns {object} - A record of the agent.
+ */
+function agentRecord(agent) {
+  let lat_lng = agent.getLatLng(),
+    trip = {},
+    properties = {};
+
+  for (let key in agent.trip) {
+    let value = agent.trip[key];
+
+    if (key === "path") {
+      trip.path = value.map(encodePoint, this);
+    } else if (key === "current_point" || key === "goal_point") {
+      trip[key] = value === null ? null : encodePoint.call(this, value);
+    } else {
+      trip[key] = value;
+    }
+  }
+
+  //Whether the goal point is the first point of the path (rather than a copy of it), as it is during a trip.
+  trip.goal_is_path_start =
+    agent.trip.goal_point !== null &&
+    agent.trip.goal_point === agent.trip.path[0];
+
+  for (let key of Object.keys(agent)) {
+    if (key[0] !== "_" && !unsaved_agent_keys.includes(key)) {
+      let value = jsonCopy(agent[key]);
+
+      if (typeof value !== "undefined") {
+        properties[key] = value;
+      }
+    }
+  }
+
+  return {
+    id: agent._leaflet_id,
+    type: agent.agent_type,
+    lat_lng: [lat_lng.lat, lat_lng.lng],
+    options: jsonCopy(agent.options),
+    place: encodePlace.call(this, agent.place),
+    steps_made: agent.steps_made,
+    trip: trip,
+    properties: properties,
+  };
+}
+
+/**
+ * Make an agent from its record and add it to the agentmap.
+ * @private
+ *
+ * @param {object} record - A record of the agent, as made by agentRecord.
+ * @param {object} unit_id_map - An object mapping units' feature IDs to their layer IDs.
+ * @returns {Agent} - The restored agent.
+ */
+function restoreAgent(record, unit_id_map) {
+  let AgentType = this.getAgentType(record.type),
+    new_agent = new AgentType(record.lat_lng, record.options, this),
+    decode = (point) => decodePoint.call(this, point, unit_id_map);
+
+  Object.assign(new_agent, record.properties);
+
+  (new_agent.place = decodePlace.call(this, record.place, unit_id_map)),
+    (new_agent.steps_made = record.steps_made);
+
+  for (let key in new_agent.trip) {
+    let value = record.trip[key];
+
+    if (key === "path") {
+      new_agent.trip.path = value.map(decode);
+    } else if (key === "current_point" || key === "goal_point") {
+      new_agent.trip[key] = value === null ? null : decode(value);
+    } else if (typeof value !== "undefined") {
+      new_agent.trip[key] = value;
+    }
+  }
+
+  if (record.trip.goal_is_path_start) {
+    new_agent.trip.goal_point = new_agent.trip.path[0];
+  }
+
+  this.agents.addLayer(new_agent);
+  new_agent.updateOccupancy(null, new_agent.place);
+
+  //Agents that were waiting to get into a unit get back in line, in the order they're restored.
+  if (
+    new_agent.trip.path.length > 0 &&
+    typeof new_agent.trip.path[0].wait_for_unit === "number"
+  ) {
+    this.units
+      .getLayer(new_agent.trip.path[0].wait_for_unit)
+      .queue.push(new_agent);
+  }
+
+  return new_agent;
+}
+
+/**
+ * Convert a place into one that refers to its unit or street by feature ID instead of layer ID.
+ * @private
+ *
+ * @param {?Place} place - A place.
+ * @returns {?object} - The place, with the ID of its unit or street's feature.
+ */
+function encodePlace(place) {
+  if (place === null || typeof place === "undefined") {
+    return null;
+  } else if (place.type === "unit") {
+    return {
+      type: "unit",
+      feature_id: this.units.getLayer(place.id).feature.properties.id,
+    };
+  } else if (place.type === "street") {
+    return {
+      type: "street",
+      feature_id: this.streets.getLayer(place.id).feature.id,
+    };
+  } else {
+    return Object.assign({}, place);
+  }
+}
+
+/**
+ * Convert a place encoded by encodePlace back into a place.
+ * @private
+ *
+ * @param {?object} place - A place encoded by encodePlace.
+ * @param {object} unit_id_map - An object mapping units' feature IDs to their layer IDs.
+ * @returns {?Place} - The place, with the layer ID of its unit or street.
+ */
+function decodePlace(place, unit_id_map) {
+  if (place === null) {
+    return null;
+  } else if (place.type === "unit" || place.type === "street") {
+    let id =
+      place.type === "unit"
+        ? unit_id_map[place.feature_id]
+        : this.streets.id_map[place.feature_id];
+
+    if (typeof id === "undefined") {
+      throw new Error(
+        "The snapshot refers to a " +
+          place.type +
+          " that doesn't exist on this map: " +
+          place.feature_id +
+          ".",
+      );
+    }
+
+    return { type: place.type, id: id };
+  } else {
+    return Object.assign({}, place);
+  }
+}
+
+/**
+ * Convert a LatLng from an agent's trip, along with any properties attached to it, into a serializable object.
+ * @private
+ *
+ * @param {LatLng} point - A point from an agent's trip.
+ * @returns {object} - A serializable record of the point.
+ */
+function encodePoint(point) {
+  let record = {};
+
+  for (let key of Object.keys(point)) {
+    if (key === "new_place") {
+      record.new_place = encodePlace.call(this, point.new_place);
+    } else if (key === "wait_for_unit") {
+      record.wait_for_unit = encodePlace.call(this, {
+        type: "unit",
+        id: point.wait_for_unit,
+      }).feature_id;
+    } else {
+      let value = jsonCopy(point[key]);
+
+      if (typeof value !== "undefined") {
+        record[key] = value;
+      }
+    }
+  }
+
+  return record;
+}
+
+/**
+ * Convert a point encoded by encodePoint back into a LatLng.
+ * @private
+ *
+ * @param {object} record - A point encoded by encodePoint.
+ * @param {object} unit_id_map - An object mapping units' feature IDs to their layer IDs.
+ * @returns {LatLng} - The point.
+ */
+function decodePoint(record, unit_id_map) {
+  let point = L.latLng(record.lat, record.lng);
+
+  for (let key of Object.keys(record)) {
+    if (key === "new_place") {
+      point.new_place = decodePlace.call(this, record.new_place, unit_id_map);
+    } else if (key === "wait_for_unit") {
+      point.wait_for_unit = decodePlace.call(
+        this,
+        { type: "unit", feature_id: record.wait_for_unit },
+        unit_id_map,
+      ).id;
+    } else if (key !== "lat" && key !== "lng") {
+      point[key] = record[key];
+    }
+  }
+
+  return point;
+}
+
+/**
+ * Get a copy of a value as it would be after being converted to JSON and back.
+ * @private
+ *
+ * @param {*} value - Any value.
+ * @returns {*} - A copy of the value, or undefined if it can't be converted to JSON.
+ */
+function jsonCopy(value) {
+  if (typeof value === "function") {
+    return undefined;
+  }
+
+  try {
+    let json = JSON.stringify(value);
+    return typeof json === "undefined" ? undefined : JSON.parse(json);
+  } catch (error) {
+    return undefined;
+  }
+}
+
+(Agentmap.prototype.snapshot = snapshot),
+  (Agentmap.prototype.restore = restore),
+  (Agentmap.prototype.downloadSnapshot = downloadSnapshot);
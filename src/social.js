@@ -0,0 +1,436 @@
+/* This file is part of AgentMaps which is released under the Simplified BSD License. */
+
+/* The SocialNetwork class, a graph of the relationships between agents, and generators for common kinds of networks. */
+
+let createGraph = require("ngraph.graph"),
+  Agentmap = require("./agentmap").Agentmap,
+  Agent = require("./agents").Agent;
+
+/**
+ * A network of ties between agents, like households, coworkers, or friends, kept in an ngraph.graph whose nodes are agents' IDs
+ * (with the agents as their data). Ties are undirected: if one agent is tied to another, the other is tied to it too. Two agents can be tied
+ * in more than one way (e.g. both coworkers and friends), each with its own weight, kept in the data of the link between them.<br/><br/>
+ *
+ * Each agentmap has one social network, made the first time it's needed; see {@link Agentmap#getSocialNetwork}.
+ * Agents are taken out of it when they're removed from the agentmap, and it's emptied when the agentmap is cleared.
+ *
+ * @class SocialNetwork
+ * @param {Agentmap} agentmap - The agentmap whose agents are in the network.
+ * @property {Agentmap} agentmap - The agentmap whose agents are in the network.
+ * @property {ngraph.graph} graph - The graph of ties. The data of each link is an object mapping each type of tie between the two agents to its weight.
+ */
+function SocialNetwork(agentmap) {
+  (this.agentmap = agentmap), (this.graph = createGraph());
+
+  agentmap.on(
+    "agentremove",
+    function (e) {
+      this.removeAgent(e.agent);
+    },
+    this,
+  );
+}
+
+/**
+ * Tie two agents together.
+ *
+ * @param {Agent} agent - One agent.
+ * @param {Agent} other - The other agent.
+ * @param {string} [type="friend"] - What kind of tie it is.
+ * @param {number} [weight=1] - How strong the tie is. If the agents are already tied this way, the weight is replaced.
+ */
+SocialNetwork.prototype.addTie = function (
+  agent,
+  other,
+  type = "friend",
+  weight = 1,
+) {
+  if (agent === other) {
+    throw new Error("An agent can't be tied to itself!");
+  }
+
+  let link = this.getLink(agent, other);
+
+  if (link === null) {
+    this.graph.addNode(agent._leaflet_id, agent);
+    this.graph.addNode(other._leaflet_id, other);
+    link = this.graph.addLink(agent._leaflet_id, other._leaflet_id, {});
+  }
+
+  link.data[type] = weight;
+};
+
+/**
+ * Untie two agents.
+ *
+ * @param {Agent} agent - One agent.
+ * @param {Agent} other - The other agent.
+ * @param {string} [type] - The kind of tie to undo. Every kind by default.
+ * @returns {boolean} - Whether the agents were tied that way.
+ */
+SocialNetwork.prototype.removeTie = function (agent, other, type) {
+  let link = this.getLink(agent, other);
+
+  if (
+    link === null ||
+    (typeof type !== "undefined" && !link.data.hasOwnProperty(type))
+  ) {
+    return false;
+  }
+
+  if (typeof type !== "undefined") {
+    delete link.data[type];
+  }
+
+  if (typeof type === "undefined" || Object.keys(link.data).length === 0) {
+    this.graph.removeLink(link);
+  }
+
+  return true;
+};
+
+/**
+ * Check whether two agents are tied.
+ *
+ * @param {Agent} agent - One agent.
+ * @param {Agent} other - The other agent.
+ * @param {string} [type] - The kind of tie to check for. Any kind by default.
+ * @returns {boolean} - Whether the agents are tied that way.
+ */
+SocialNetwork.prototype.hasTie = function (agent, other, type) {
+  let link = this.getLink(agent, other);
+
+  return (
+    link !== null &&
+    (typeof type === "undefined" || link.data.hasOwnProperty(type))
+  );
+};
+
+/**
+ * Get the weight of the tie between two agents.
+ *
+ * @param {Agent} agent - One agent.
+ * @param {Agent} other - The other agent.
+ * @param {string} type - The kind of tie.
+ * @returns {number} - The weight of the tie, or 0 if the agents aren't tied that way.
+ */
+SocialNetwork.prototype.getWeight = function (agent, other, type) {
+  let link = this.getLink(agent, other);
+
+  return link !== null && link.data.hasOwnProperty(type) ? link.data[type] : 0;
+};
+
+/**
+ * Get the agents tied to an agent.
+ *
+ * @param {Agent} agent - The agent.
+ * @param {string} [type] - The kind of tie. Any kind by default.
+ * @returns {Array<Agent>} - The agents tied to the agent that way, in the order they were tied.
+ */
+SocialNetwork.prototype.contacts = function (agent, type) {
+  let contacts = [];
+
+  if (this.graph.getNode(agent._leaflet_id)) {
+    this.graph.forEachLinkedNode(agent._leaflet_id, function (node, link) {
+      if (typeof type === "undefined" || link.data.hasOwnProperty(type)) {
+        contacts.push(node.data);
+      }
+    });
+  }
+
+  return contacts;
+};
+
+/**
+ * Get every tie in the network.
+ *
+ * @param {string} [type] - The kind of tie. Any kind by default.
+ * @returns {Array<object>} - An object for each pair of tied agents, with the agents as its agent and other properties,
+ * and an object mapping each kind of tie between them to its weight as its types property.
+ */
+SocialNetwork.prototype.getTies = function (type) {
+  let ties = [];
+
+  this.graph.forEachLink(
+    function (link) {
+      if (typeof type === "undefined" || link.data.hasOwnProperty(type)) {
+        ties.push({
+          agent: this.graph.getNode(link.fromId).data,
+          other: this.graph.getNode(link.toId).data,
+          types: Object.assign({}, link.data),
+        });
+      }
+    }.bind(this),
+  );
+
+  return ties;
+};
+
+/**
+ * Take an agent and all of its ties out of the network.
+ *
+ * @param {Agent} agent - The agent.
+ */
+SocialNetwork.prototype.removeAgent = function (agent) {
+  this.graph.removeNode(agent._leaflet_id);
+};
+
+/**
+ * Take every agent and tie out of the network.
+ */
+SocialNetwork.prototype.clear = function () {
+  this.graph.clear();
+};
+
+/**
+ * Get the link between two agents, whichever way it was made.
+ * @private
+ *
+ * @param {Agent} agent - One agent.
+ * @param {Agent} other - The other agent.
+ * @returns {?object} - The ngraph link, or null if the agents aren't tied.
+ */
+SocialNetwork.prototype.getLink = function (agent, other) {
+  return (
+    this.graph.getLink(agent._leaflet_id, other._leaflet_id) ||
+    this.graph.getLink(other._leaflet_id, agent._leaflet_id) ||
+    null
+  );
+};
+
+/**
+ * Get the agentmap's social network, making it if it hasn't been made.
+ * @memberof Agentmap
+ * @instance
+ *
+ * @returns {SocialNetwork} - The social network, which is also kept in the agentmap's social_network property.
+ */
+function getSocialNetwork() {
+  if (this.social_network === null) {
+    this.social_network = new SocialNetwork(this);
+  }
+
+  return this.social_network;
+}
+
+/**
+ * Get the agents to tie together: either the ones given, or all of the agentmap's agents.
+ * @private
+ *
+ * @param {Agentmap} agentmap - The agentmap.
+ * @param {Array<Agent>} [agents] - The agents given.
+ * @returns {Array<Agent>} - The agents to tie together.
+ */
+function getAgentsToTie(agentmap, agents) {
+  if (typeof agents !== "undefined") {
+    return agents.slice();
+  }
+
+  return agentmap.agents === null ? [] : agentmap.agents.getLayers();
+}
+
+/**
+ * Tie together the agents that live in the same unit.
+ * @memberof Agentmap
+ * @instance
+ *
+ * @example
+ * agentmap.tieHouseholds({ home: "home_id" });
+ * agent.contacts("household");
+ *
+ * @param {object} [options] - Options for the ties.
+ * @param {string} [options.type="household"] - What kind of ties to make.
+ * @param {string|function} [options.home] - The name of the property holding the ID of each agent's home unit, or a function that is
+ * given an agent and returns that ID (or null if it has no home). By default, each agent's home is the unit it's in, if any.
+ * @param {Array<Agent>} [options.agents] - The agents to tie together. All of the agentmap's agents by default.
+ */
+function tieHouseholds(options = {}) {
+  let type = typeof options.type === "undefined" ? "household" : options.type,
+    getHome =
+      typeof options.home === "function"
+        ? options.home
+        : typeof options.home === "string"
+          ? (agent) => agent[options.home]
+          : (agent) =>
+              agent.place !== null && agent.place.type === "unit"
+                ? agent.place.id
+                : null,
+    households = new Map(),
+    network = this.getSocialNetwork();
+
+  for (let agent of getAgentsToTie(this, options.agents)) {
+    let home = getHome(agent);
+
+    if (home === null || typeof home === "undefined") {
+      continue;
+    }
+
+    if (!households.has(home)) {
+      households.set(home, []);
+    }
+
+    households.get(home).push(agent);
+  }
+
+  for (let household of households.values()) {
+    for (let i = 0; i < household.length; i++) {
+      for (let j = i + 1; j < household.length; j++) {
+        network.addTie(household[i], household[j], type);
+      }
+    }
+  }
+}
+
+/**
+ * Tie the agents together into a small-world network (a Watts-Strogatz graph): each agent is tied to the agents nearest to it
+ * in a ring, and then each tie is rewired to a random agent with some probability, using the agentmap's random number generator.
+ * @memberof Agentmap
+ * @instance
+ *
+ * @param {object} [options] - Options for the ties.
+ * @param {string} [options.type="friend"] - What kind of ties to make.
+ * @param {number} [options.k=4] - The number of agents each agent is tied to in the ring, half on each side. Must be an even, non-negative integer.
+ * @param {number} [options.p=0.1] - The probability of each tie being rewired. Must be between 0 and 1.
+ * @param {Array<Agent>} [options.agents] - The agents to tie together, in the order of the ring. All of the agentmap's agents by default.
+ */
+function tieSmallWorld(options = {}) {
+  let type = typeof options.type === "undefined" ? "friend" : options.type,
+    k = typeof options.k === "undefined" ? 4 : options.k,
+    p = typeof options.p === "undefined" ? 0.1 : options.p,
+    agents = getAgentsToTie(this, options.agents),
+    network = this.getSocialNetwork();
+
+  if (!(Number.isInteger(k) && k >= 0 && k % 2 === 0)) {
+    throw new Error("k must be an even, non-negative integer!");
+  } else if (!(p >= 0 && p <= 1)) {
+    throw new Error("p must be between 0 and 1!");
+  }
+
+  let n = agents.length,
+    half_k = Math.min(k / 2, Math.floor((n - 1) / 2));
+
+  for (let i = 0; i < n; i++) {
+    for (let j = 1; j <= half_k; j++) {
+      let agent = agents[i],
+        other = agents[(i + j) % n];
+
+      //Rewire the tie to a random agent that the agent isn't already tied to, if there is one.
+      if (this.random() < p) {
+        let candidates = agents.filter(
+          (candidate) =>
+            candidate !== agent && !network.hasTie(agent, candidate, type),
+        );
+
+        if (candidates.length > 0) {
+          other = this.pick(candidates);
+        }
+      }
+
+      network.addTie(agent, other, type);
+    }
+  }
+}
+
+/**
+ * Tie the agents together into a scale-free network (a Barabási-Albert graph): the agents are added to the network one by one,
+ * and each is tied to some of the agents added before it, picked with probability proportional to how many ties of the kind they already have,
+ * using the agentmap's random number generator.
+ * @memberof Agentmap
+ * @instance
+ *
+ * @param {object} [options] - Options for the ties.
+ * @param {string} [options.type="friend"] - What kind of ties to make.
+ * @param {number} [options.m=2] - The number of agents each new agent is tied to. Must be a positive integer.
+ * @param {Array<Agent>} [options.agents] - The agents to tie together, in the order they're added. All of the agentmap's agents by default.
+ */
+function tieScaleFree(options = {}) {
+  let type = typeof options.type === "undefined" ? "friend" : options.type,
+    m = typeof options.m === "undefined" ? 2 : options.m,
+    agents = getAgentsToTie(this, options.agents),
+    network = this.getSocialNetwork();
+
+  if (!(Number.isInteger(m) && m > 0)) {
+    throw new Error("m must be a positive integer!");
+  }
+
+  //Each agent appears in the list once for every tie it has, so that picking from it favors the agents with the most ties.
+  let tie_ends = [];
+
+  //Start with the first m + 1 agents all tied together.
+  let core = agents.slice(0, m + 1);
+  for (let i = 0; i < core.length; i++) {
+    for (let j = i + 1; j < core.length; j++) {
+      network.addTie(core[i], core[j], type);
+      tie_ends.push(core[i], core[j]);
+    }
+  }
+
+  for (let agent of agents.slice(m + 1)) {
+    let targets = new Set();
+
+    while (targets.size < m) {
+      targets.add(this.pick(tie_ends));
+    }
+
+    for (let target of targets) {
+      network.addTie(agent, target, type);
+      tie_ends.push(agent, target);
+    }
+  }
+}
+
+/**
+ * Tie the agent to another agent in the agentmap's social network.
+ * @memberof Agent
+ * @instance
+ *
+ * @param {Agent} other - The other agent.
+ * @param {string} [type="friend"] - What kind of tie it is.
+ * @param {number} [weight=1] - How strong the tie is.
+ */
+function addTie(other, type, weight) {
+  this.agentmap.getSocialNetwork().addTie(this, other, type, weight);
+}
+
+/**
+ * Untie the agent from another agent in the agentmap's social network.
+ * @memberof Agent
+ * @instance
+ *
+ * @param {Agent} other - The other agent.
+ * @param {string} [type] - The kind of tie to undo. Every kind by default.
+ * @returns {boolean} - Whether the agents were tied that way.
+ */
+function removeTie(other, type) {
+  return this.agentmap.getSocialNetwork().removeTie(this, other, type);
+}
+
+/**
+ * Get the agents the agent is tied to in the agentmap's social network.
+ * @memberof Agent
+ * @instance
+ *
+ * @example
+ * agent.controller = function () {
+ * 	if (this.contacts("household").some(contact => contact.infected)) {
+ * 		this.exposed = true;
+ * 	}
+ * };
+ *
+ * @param {string} [type] - The kind of tie. Any kind by default.
+ * @returns {Array<Agent>} - The agents tied to the agent that way.
+ */
+function contacts(type) {
+  return this.agentmap.getSocialNetwork().contacts(this, type);
+}
+
+(Agentmap.prototype.getSocialNetwork = getSocialNetwork),
+  (Agentmap.prototype.tieHouseholds = tieHouseholds),
+  (Agentmap.prototype.tieSmallWorld = tieSmallWorld),
+  (Agentmap.prototype.tieScaleFree = tieScaleFree);
+
+(Agent.prototype.addTie = addTie),
+  (Agent.prototype.removeTie = removeTie),
+  (Agent.prototype.contacts = contacts);
+
+exports.SocialNetwork = SocialNetwork;
@@ -0,0 +1,348 @@
+/* This file is part of AgentMaps which is released under the Simplified BSD License. */
+
+/* The SpatialIndex class, a grid for quickly finding the agents near a point, and the agentmap's neighbor queries built on it. */
+
+let Agentmap = require("./agentmap").Agentmap,
+  Agent = require("./agents").Agent;
+
+//The approximate number of meters in a degree of latitude (or of longitude at the equator).
+let meters_per_degree = 111320;
+
+/**
+ * An index of items at points on the map, kept in a grid of square cells so that the items near a point can be found
+ * without checking every item. Used by the agentmap to keep track of where its agents are.
+ *
+ * @class SpatialIndex
+ * @param {number} [cell_size=25] - The length of the side of each cell, in meters. Must be positive. Queries are fastest when
+ * it's around the radius usually searched.
+ * @param {number} [reference_lat=0] - A latitude near where the items are, at which the cells will be closest to square.
+ * @property {number} cell_size - The length of the side of each cell, in meters.
+ */
+function SpatialIndex(cell_size = 25, reference_lat = 0) {
+  if (!(cell_size > 0)) {
+    throw new Error("The cell size must be a positive number!");
+  }
+
+  (this.cell_size = cell_size),
+    (this.cell_lat = cell_size / meters_per_degree),
+    (this.cell_lng =
+      cell_size /
+      (meters_per_degree * Math.cos((reference_lat * Math.PI) / 180))),
+    (this.cells = new Map()),
+    (this.item_keys = new Map());
+}
+
+/**
+ * Get the column and row of the cell containing a point.
+ * @private
+ *
+ * @param {LatLng} lat_lng - The point.
+ * @returns {Array<number>} - The column and row.
+ */
+SpatialIndex.prototype.getCell = function (lat_lng) {
+  return [
+    Math.floor(lat_lng.lng / this.cell_lng),
+    Math.floor(lat_lng.lat / this.cell_lat),
+  ];
+};
+
+/**
+ * Add an item to the index, or move it if it's already there.
+ *
+ * @param {*} item - The item.
+ * @param {LatLng} lat_lng - Where the item is.
+ */
+SpatialIndex.prototype.insert = function (item, lat_lng) {
+  this.remove(item);
+
+  let [x, y] = this.getCell(lat_lng),
+    key = x + ":" + y,
+    cell = this.cells.get(key);
+
+  if (typeof cell === "undefined") {
+    cell = { x: x, y: y, items: new Set() };
+    this.cells.set(key, cell);
+  }
+
+  cell.items.add(item);
+  this.item_keys.set(item, key);
+};
+
+/**
+ * Move an item in the index to where it is now. Does nothing if the item isn't in the index.
+ *
+ * @param {*} item - The item.
+ * @param {LatLng} lat_lng - Where the item is now.
+ */
+SpatialIndex.prototype.update = function (item, lat_lng) {
+  let key = this.item_keys.get(item);
+
+  if (typeof key === "undefined") {
+    return;
+  }
+
+  let [x, y] = this.getCell(lat_lng);
+
+  if (key !== x + ":" + y) {
+    this.insert(item, lat_lng);
+  }
+};
+
+/**
+ * Take an item out of the index.
+ *
+ * @param {*} item - The item.
+ */
+SpatialIndex.prototype.remove = function (item) {
+  let key = this.item_keys.get(item);
+
+  if (typeof key === "undefined") {
+    return;
+  }
+
+  let cell = this.cells.get(key);
+  cell.items.delete(item);
+
+  if (cell.items.size === 0) {
+    this.cells.delete(key);
+  }
+
+  this.item_keys.delete(item);
+};
+
+/**
+ * Check whether an item is in the index.
+ *
+ * @param {*} item - The item.
+ * @returns {boolean} - Whether it's in the index.
+ */
+SpatialIndex.prototype.has = function (item) {
+  return this.item_keys.has(item);
+};
+
+/**
+ * Take every item out of the index.
+ */
+SpatialIndex.prototype.clear = function () {
+  this.cells.clear();
+  this.item_keys.clear();
+};
+
+/**
+ * Get the items in the cells overlapping some bounds. Some of them may be just outside of the bounds.
+ *
+ * @param {LatLngBounds} bounds - The bounds.
+ * @returns {Array} - The items.
+ */
+SpatialIndex.prototype.searchBounds = function (bounds) {
+  bounds = L.latLngBounds(bounds);
+
+  let [min_x, min_y] = this.getCell(bounds.getSouthWest()),
+    [max_x, max_y] = this.getCell(bounds.getNorthEast()),
+    items = [];
+
+  //If the bounds span more cells than there are occupied cells, go through the occupied ones instead.
+  if ((max_x - min_x + 1) * (max_y - min_y + 1) > this.cells.size) {
+    for (let cell of this.cells.values()) {
+      if (
+        cell.x >= min_x &&
+        cell.x <= max_x &&
+        cell.y >= min_y &&
+        cell.y <= max_y
+      ) {
+        items.push(...cell.items);
+      }
+    }
+  } else {
+    for (let x = min_x; x <= max_x; x++) {
+      for (let y = min_y; y <= max_y; y++) {
+        let cell = this.cells.get(x + ":" + y);
+
+        if (typeof cell !== "undefined") {
+          items.push(...cell.items);
+        }
+      }
+    }
+  }
+
+  return items;
+};
+
+/**
+ * Get the items in the cells within some distance of a point. Some of them may be farther away than that.
+ *
+ * @param {LatLng} lat_lng - The point.
+ * @param {number} radius - The distance, in meters.
+ * @returns {Array} - The items.
+ */
+SpatialIndex.prototype.searchRadius = function (lat_lng, radius) {
+  lat_lng = L.latLng(lat_lng);
+
+  let lat_radius = radius / meters_per_degree,
+    //Use the latitude farthest from the equator, where a meter spans the most longitude.
+    far_lat = Math.min(Math.abs(lat_lng.lat) + lat_radius, 89),
+    lng_radius =
+      radius / (meters_per_degree * Math.cos((far_lat * Math.PI) / 180));
+
+  return this.searchBounds([
+    [lat_lng.lat - lat_radius, lat_lng.lng - lng_radius],
+    [lat_lng.lat + lat_radius, lat_lng.lng + lng_radius],
+  ]);
+};
+
+/**
+ * Start keeping an index of where the agents are, replacing any index already kept. It's kept up to date as the agents move
+ * and are added and removed. There's no need to call this before using {@link Agentmap#agentsNear} or
+ * {@link Agent#neighbors}, which start the index if it hasn't been started, unless you want to pick the size of its cells.
+ * @memberof Agentmap
+ * @instance
+ *
+ * @param {number} [cell_size=25] - The length of the side of each cell of the index, in meters; see {@link SpatialIndex}.
+ * @returns {SpatialIndex} - The index, which is also kept in the agentmap's agent_index property.
+ */
+function indexAgents(cell_size) {
+  if (!(this.agents instanceof L.LayerGroup)) {
+    this.agents = this.addToMap(L.featureGroup());
+  }
+
+  if (this.agent_index !== null) {
+    this.agents.off("layeradd", onAgentAdd, this);
+    this.agents.off("layerremove", onAgentRemove, this);
+  }
+
+  let reference_lat =
+    this.units !== null && this.units.getLayers().length > 0
+      ? this.units.getBounds().getCenter().lat
+      : 0;
+
+  this.agent_index = new SpatialIndex(cell_size, reference_lat);
+
+  this.agents.eachLayer(function (agent) {
+    this.agent_index.insert(agent, agent.getLatLng());
+  }, this);
+
+  this.agents.on("layeradd", onAgentAdd, this);
+  this.agents.on("layerremove", onAgentRemove, this);
+
+  return this.agent_index;
+}
+
+/**
+ * Add an agent to the agentmap's index when it's added to the agentmap.
+ * @private
+ *
+ * @param {object} e - The agents featureGroup's layeradd event.
+ */
+function onAgentAdd(e) {
+  this.agent_index.insert(e.layer, e.layer.getLatLng());
+}
+
+/**
+ * Take an agent out of the agentmap's index when it's removed from the agentmap.
+ * @private
+ *
+ * @param {object} e - The agents featureGroup's layerremove event.
+ */
+function onAgentRemove(e) {
+  this.agent_index.remove(e.layer);
+}
+
+/**
+ * Get the agentmap's index of agents, starting it if it hasn't been started.
+ * @memberof Agentmap
+ * @instance
+ * @private
+ *
+ * @returns {SpatialIndex} - The index.
+ */
+function getAgentIndex() {
+  return this.agent_index === null ? this.indexAgents() : this.agent_index;
+}
+
+/**
+ * Get the agents within some distance of a point.
+ * @memberof Agentmap
+ * @instance
+ *
+ * @example
+ * let crowd = agentmap.agentsNear(agentmap.getUnitPoint(unit_id, .5, .5), 20);
+ *
+ * @param {LatLng} lat_lng - The point.
+ * @param {number} radius - The distance, in meters.
+ * @returns {Array<Agent>} - The agents no farther than that from the point.
+ */
+function agentsNear(lat_lng, radius) {
+  lat_lng = L.latLng(lat_lng);
+
+  return this.getAgentIndex()
+    .searchRadius(lat_lng, radius)
+    .filter((agent) => agent.getLatLng().distanceTo(lat_lng) <= radius);
+}
+
+/**
+ * Get the agents whose place is a unit, i.e. the unit's occupants.
+ * @memberof Agentmap
+ * @instance
+ *
+ * @param {number} unit_id - The ID of the unit.
+ * @returns {Array<Agent>} - The agents in the unit.
+ */
+function agentsInUnit(unit_id) {
+  let unit = this.units === null ? undefined : this.units.getLayer(unit_id);
+
+  if (typeof unit === "undefined") {
+    throw new Error("No unit exists with the ID " + unit_id + "!");
+  }
+
+  return Array.from(unit.occupants);
+}
+
+/**
+ * Get the other agents within some distance of the agent.
+ * @memberof Agent
+ * @instance
+ *
+ * @example
+ * agent.controller = function () {
+ * 	if (this.neighbors(5).some(neighbor => neighbor.infected)) {
+ * 		this.infected = true;
+ * 	}
+ * };
+ *
+ * @param {number} radius - The distance, in meters.
+ * @returns {Array<Agent>} - The other agents no farther than that from the agent.
+ */
+function neighbors(radius) {
+  return this.agentmap
+    .agentsNear(this.getLatLng(), radius)
+    .filter((agent) => agent !== this);
+}
+
+/**
+ * Move the agent to a point, like any Leaflet marker, and keep the agentmap's index of agents up to date.
+ * @memberof Agent
+ * @instance
+ * @private
+ *
+ * @param {LatLng} lat_lng - The point.
+ * @returns {Agent} - The agent.
+ */
+function setLatLng(lat_lng) {
+  L.CircleMarker.prototype.setLatLng.call(this, lat_lng);
+
+  if (this.agentmap !== null && this.agentmap.agent_index !== null) {
+    this.agentmap.agent_index.update(this, this._latlng);
+  }
+
+  return this;
+}
+
+(Agentmap.prototype.indexAgents = indexAgents),
+  (Agentmap.prototype.getAgentIndex = getAgentIndex),
+  (Agentmap.prototype.agentsNear = agentsNear),
+  (Agentmap.prototype.agentsInUnit = agentsInUnit);
+
+(Agent.prototype.neighbors = neighbors),
+  (Agent.prototype.setLatLng = setLatLng);
+
+exports.SpatialIndex = SpatialIndex;
@@ -123,7 +123,74 @@ function getIntersections(arr_a, arr_b, ids = []) {
   return intersections;
 }
 
+/**
+ * Have the browser download a file with the given contents.
+ *
+ * @param {string} file_name - The name to give the downloaded file.
+ * @param {string} file_content - The contents of the file.
+ */
+function downloadFile(file_name, file_content) {
+  let file = new Blob([file_content]),
+    element = document.createElement("a");
+  element.setAttribute("href", URL.createObjectURL(file)),
+    element.setAttribute("download", file_name),
+    (element.style.display = "none");
+  document.body.appendChild(element);
+
+  element.click();
+
+  document.body.removeChild(element);
+}
+
+/**
+ * Convert an array of objects into CSV text, with a column for each property found in any of them.
+ *
+ * @param {Array<object>} rows - The objects to convert, one per row.
+ * @returns {string} - CSV text with a header row, in which values containing commas, quotes, or line breaks are quoted.
+ */
+function rowsToCSV(rows) {
+  let columns = [];
+
+  for (let row of rows) {
+    for (let key in row) {
+      if (!columns.includes(key)) {
+        columns.push(key);
+      }
+    }
+  }
+
+  let escape = function (value) {
+    let text =
+      value === null || typeof value === "undefined"
+        ? ""
+        : typeof value === "object"
+          ? JSON.stringify(value)
+          : String(value);
+
+    return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+  };
+
+  let lines = [columns.map(escape).join(",")];
+  for (let row of rows) {
+    lines.push(columns.map((column) => escape(row[column])).join(","));
+  }
+
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Get the current time in milliseconds, as precisely as possible, for measuring how long things take.
+ *
+ * @returns {number} - The number of milliseconds elapsed since some fixed point in time.
+ */
+function now() {
+  return typeof performance !== "undefined" ? performance.now() : Date.now();
+}
+
 exports.getIntersections = getIntersections;
 exports.reversedCoordinates = reversedCoordinates;
 exports.isPointCoordinates = isPointCoordinates;
 exports.pointToCoordinateArray = pointToCoordinateArray;
+exports.downloadFile = downloadFile;
+exports.rowsToCSV = rowsToCSV;
+exports.now = now;
@@ -0,0 +1,362 @@
+/* This file is part of AgentMaps which is released under the Simplified BSD License. */
+
+/* Functions for running a simulation in a Web Worker while drawing its agents on a map in the main thread. */
+
+let Agentmap = require("./agentmap").Agentmap;
+
+//The Leaflet options of an agent that are sent to the main thread whenever they change.
+let style_keys = [
+  "color",
+  "fillColor",
+  "radius",
+  "opacity",
+  "fillOpacity",
+  "weight",
+  "stroke",
+  "fill",
+];
+
+/**
+ * Run a simulation inside a Web Worker, for a {@link WorkerAgentmap} in the main thread to draw.
+ * Call it from the worker's script, after Leaflet & AgentMaps have been loaded into the worker. Since Leaflet expects
+ * to be in a browser window, the worker needs to define a few stand-ins before loading it, as in the example.<br/><br/>
+ *
+ * The streets and units are set up headlessly in the worker from the data the WorkerAgentmap sends,
+ * then the setup function is called to create the agents and their controllers. After that, the worker steps the simulation
+ * whenever the main thread asks, and posts back only the agents' positions (and any changes to their styles).
+ * If stepping throws, the error is posted to the main thread, followed by a frame of wherever the agents were left.
+ *
+ * @example
+ * //simulation_worker.js
+ * self.window = self;
+ * self.document = { documentElement: { style: {} }, createElement: () => ({}) };
+ * importScripts("leaflet.js", "agentmaps.js");
+ *
+ * L.A.workerHost(function (agentmap, data) {
+ * 	agentmap.agentify(data.agent_count, agentmap.seqUnitAgentMaker);
+ * 	agentmap.controller = function () { ... };
+ * });
+ *
+ * @param {function} setup - A function that sets up the model. It is given the worker's agentmap and the data
+ * passed to the WorkerAgentmap, and is bound to the agentmap.
+ * @param {object} [scope=self] - The worker's global scope.
+ */
+function workerHost(setup, scope = self) {
+  let agentmap = null,
+    posted_styles = {};
+
+  scope.addEventListener("message", function (e) {
+    let message = e.data;
+
+    if (message.type === "init") {
+      agentmap = new Agentmap(null, 1, message.options);
+      agentmap.buildingify(null, null, {}, {}, message.units, message.streets);
+
+      setup.call(agentmap, agentmap, message.data);
+    } else if (message.type === "step") {
+      //Steps asked for before the simulation has been set up have nothing to advance.
+      if (agentmap === null) {
+        return;
+      }
+
+      //Report an error thrown while stepping, but still post a frame so the main thread isn't left waiting for one.
+      try {
+        agentmap.step(message.ticks);
+      } catch (error) {
+        scope.postMessage({
+          type: "error",
+          message: error.message,
+          tick: agentmap.state.ticks,
+        });
+      }
+    } else {
+      return;
+    }
+
+    postFrame(scope, agentmap, posted_styles);
+  });
+}
+
+/**
+ * Post the agents' current positions, and the styles of any agents that are new or have been restyled, to the main thread.
+ * @private
+ *
+ * @param {object} scope - The worker's global scope.
+ * @param {Agentmap} agentmap - The worker's agentmap.
+ * @param {object} posted_styles - An object mapping each agent's ID to the style last posted for it. Will be updated.
+ */
+function postFrame(scope, agentmap, posted_styles) {
+  let agents = agentmap.agents === null ? [] : agentmap.agents.getLayers(),
+    ids = new Float64Array(agents.length),
+    positions = new Float64Array(agents.length * 2),
+    styles = {},
+    present = {};
+
+  agents.forEach(function (agent, i) {
+    let id = agent._leaflet_id,
+      lat_lng = agent.getLatLng(),
+      style = {},
+      restyled = typeof posted_styles[id] === "undefined";
+
+    (ids[i] = id),
+      (positions[2 * i] = lat_lng.lat),
+      (positions[2 * i + 1] = lat_lng.lng),
+      (present[id] = true);
+
+    for (let key of style_keys) {
+      style[key] = agent.options[key];
+
+      if (!restyled && posted_styles[id][key] !== style[key]) {
+        restyled = true;
+      }
+    }
+
+    if (restyled) {
+      styles[id] = posted_styles[id] = style;
+    }
+  });
+
+  for (let id in posted_styles) {
+    if (!present[id]) {
+      delete posted_styles[id];
+    }
+  }
+
+  scope.postMessage(
+    {
+      type: "frame",
+      tick: agentmap.state.ticks,
+      ids: ids,
+      positions: positions,
+      styles: styles,
+    },
+    [ids.buffer, positions.buffer],
+  );
+}
+
+/**
+ * Draws the agents of a simulation running in a Web Worker (see {@link workerHost}), so that trip planning,
+ * movement, and the controllers don't block the main thread. Each animation frame, it asks the worker to advance
+ * the simulation, and it moves its markers to the positions the worker posts back.<br/><br/>
+ *
+ * The streets and units are only drawn in the main thread; all of the routing data is built in the worker.
+ * @class WorkerAgentmap
+ *
+ * @param {object} map - A Leaflet Map instance to draw the simulation on.
+ * @param {Worker|string} worker - The Web Worker running {@link workerHost}, or the URL of its script.
+ * @param {object} init - What the worker needs to set up the simulation.
+ * @param {object} init.streets - A GeoJSON Feature Collection of an AgentMaps.streets featureGroup, as saved by {@link Agentmap#downloadStreets}.
+ * @param {object} init.units - A GeoJSON Feature Collection of an AgentMaps.units featureGroup, as saved by {@link Agentmap#downloadUnits}.
+ * @param {object} [init.street_options] - Leaflet styling options for drawing the streets.
+ * @param {object} [init.unit_options] - Leaflet styling options for drawing the units.
+ * @param {object} [init.options] - Options for the worker's {@link Agentmap}, like its seed and clock.
+ * @param {*} [init.data] - Anything else to pass to the worker's setup function. Must be cloneable by postMessage.
+ * @property {object} map - The Leaflet Map instance the simulation is drawn on.
+ * @property {Worker} worker - The Web Worker running the simulation.
+ * @property {FeatureGroup} agents - A featureGroup containing a circleMarker for each agent in the worker's simulation.
+ * Each has its agent's ID as its agent_id property.
+ * @property {FeatureGroup} units - A featureGroup containing all units.
+ * @property {FeatureGroup} streets - A featureGroup containing all streets.
+ * @property {object} state - Properties detailing the state of the simulation process.
+ * @property {boolean} state.running - Whether the simulation is running or not.
+ * @property {?number} state.animation_frame_id - The id of the function asking for the next tick in the queue of functions to call for the coming animation frame.
+ * @property {boolean} state.waiting - Whether the worker is busy computing ticks that haven't been drawn yet.
+ * @property {?number} state.ticks - The number of ticks elapsed in the worker's simulation, as of the last drawn frame.
+ * @property {number} ticks_per_frame - The number of ticks the worker should advance the simulation by for each animation frame.
+ * @fires WorkerAgentmap#frame
+ * @fires WorkerAgentmap#error
+ */
+let WorkerAgentmap = L.Evented.extend({
+  initialize: function (map, worker, init) {
+    (this.map = map),
+      (this.worker = typeof worker === "string" ? new Worker(worker) : worker),
+      (this.agents = L.featureGroup().addTo(map)),
+      (this.markers = {}),
+      (this.streets = L.geoJSON(
+        init.streets,
+        Object.assign(
+          { color: "yellow", weight: 4, opacity: 0.5 },
+          init.street_options,
+        ),
+      ).addTo(map)),
+      (this.units = L.geoJSON(
+        init.units,
+        Object.assign(
+          { color: "green", weight: 1, opacity: 0.87 },
+          init.unit_options,
+        ),
+      ).addTo(map)),
+      (this.state = {
+        running: false,
+        animation_frame_id: null,
+        waiting: true,
+        ticks: null,
+      }),
+      (this.ticks_per_frame = 1),
+      (this.onMessage = this.onMessage.bind(this));
+
+    this.worker.addEventListener("message", this.onMessage);
+    this.worker.postMessage({
+      type: "init",
+      streets: init.streets,
+      units: init.units,
+      options: init.options,
+      data: init.data,
+    });
+  },
+
+  /**
+   * Fired whenever a new frame from the worker has been drawn.
+   *
+   * @event WorkerAgentmap#frame
+   * @type {object}
+   * @property {number} tick - The number of ticks elapsed in the worker's simulation.
+   */
+
+  /**
+   * Fired when an error is thrown while the worker is advancing the simulation. The simulation is paused.
+   *
+   * @event WorkerAgentmap#error
+   * @type {object}
+   * @property {string} message - The error's message.
+   * @property {number} tick - The number of ticks elapsed in the worker's simulation when the error was thrown.
+   */
+
+  /**
+   * Keep asking the worker to advance the simulation on each animation frame, until paused.
+   */
+  run: function () {
+    if (this.state.running === false) {
+      this.state.running = true;
+
+      if (this.state.waiting === false) {
+        this.requestTicks();
+      }
+    }
+  },
+
+  /**
+   * Stop asking the worker to advance the simulation.
+   */
+  pause: function () {
+    //If the worker hasn't been asked for the ticks yet, cancelling the request means there's nothing left to wait for.
+    if (this.state.animation_frame_id !== null) {
+      L.Util.cancelAnimFrame(this.state.animation_frame_id);
+      (this.state.animation_frame_id = null), (this.state.waiting = false);
+    }
+
+    this.state.running = false;
+  },
+
+  /**
+   * Ask the worker to advance the simulation by some number of ticks right away.
+   *
+   * @param {number} [n=1] - The number of ticks to advance the simulation by.
+   */
+  step: function (n = 1) {
+    this.state.waiting = true;
+    this.worker.postMessage({ type: "step", ticks: n });
+  },
+
+  /**
+   * Stop the simulation, shut down the worker, and remove everything from the map.
+   */
+  terminate: function () {
+    this.pause();
+    this.worker.removeEventListener("message", this.onMessage);
+    this.worker.terminate();
+    this.map.removeLayer(this.agents);
+    this.map.removeLayer(this.streets);
+    this.map.removeLayer(this.units);
+  },
+
+  /**
+   * On the next animation frame, ask the worker to advance the simulation.
+   * @private
+   */
+  requestTicks: function () {
+    this.state.waiting = true;
+    this.state.animation_frame_id = L.Util.requestAnimFrame(function () {
+      this.state.animation_frame_id = null;
+
+      if (this.state.running === true) {
+        this.step(this.ticks_per_frame);
+      } else {
+        this.state.waiting = false;
+      }
+    }, this);
+  },
+
+  /**
+   * Draw a frame posted by the worker and, if running, ask for the next one, or pause if the worker reports an error.
+   * @private
+   *
+   * @param {MessageEvent} e - The message from the worker.
+   */
+  onMessage: function (e) {
+    let message = e.data;
+
+    if (message.type === "error") {
+      this.pause();
+      this.fire("error", { message: message.message, tick: message.tick });
+      return;
+    } else if (message.type !== "frame") {
+      return;
+    }
+
+    let present = {};
+
+    for (let i = 0; i < message.ids.length; i++) {
+      let id = message.ids[i],
+        lat_lng = [message.positions[2 * i], message.positions[2 * i + 1]],
+        marker = this.markers[id];
+
+      if (typeof marker === "undefined") {
+        marker = this.markers[id] = L.circleMarker(lat_lng, message.styles[id]);
+        marker.agent_id = id;
+        this.agents.addLayer(marker);
+      } else {
+        marker.setLatLng(lat_lng);
+
+        if (typeof message.styles[id] !== "undefined") {
+          marker.setStyle(message.styles[id]);
+        }
+      }
+
+      present[id] = true;
+    }
+
+    //Remove the markers of agents that no longer exist in the worker.
+    for (let id in this.markers) {
+      if (!present[id]) {
+        this.agents.removeLayer(this.markers[id]);
+        delete this.markers[id];
+      }
+    }
+
+    this.state.ticks = message.tick;
+    this.fire("frame", { tick: message.tick });
+
+    if (this.state.running === true) {
+      this.requestTicks();
+    } else {
+      this.state.waiting = false;
+    }
+  },
+});
+
+/**
+ * Returns a WorkerAgentmap, which draws a simulation running in a Web Worker.
+ *
+ * @param {object} map - A Leaflet Map instance to draw the simulation on.
+ * @param {Worker|string} worker - The Web Worker running {@link workerHost}, or the URL of its script.
+ * @param {object} init - What the worker needs to set up the simulation; see {@link WorkerAgentmap}.
+ * @returns {WorkerAgentmap} - A WorkerAgentmap instance.
+ */
+function workerAgentmap(map, worker, init) {
+  return new WorkerAgentmap(map, worker, init);
+}
+
+(exports.workerHost = workerHost),
+  (exports.WorkerAgentmap = WorkerAgentmap),
+  (exports.workerAgentmap = workerAgentmap);
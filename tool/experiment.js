@@ -0,0 +1,254 @@
+#!/usr/bin/env node
+
+/* This file is part of AgentMaps which is released under the Simplified BSD License. */
+
+/* A command line tool (and Node API) that runs an AgentMaps model headlessly over a grid of parameters,
+ * with several seeds for each combination, and saves each run's metrics as CSV or JSON. */
+
+let optimist = require("optimist"),
+  fs = require("fs"),
+  path = require("path");
+
+//Mock a browser environment, which Leaflet expects to be in when it's loaded.
+global.window = global.window || { screen: {} };
+global.document = global.document || {
+  documentElement: {
+    style: [],
+  },
+  createElement: () => ({
+    getContext: null,
+  }),
+};
+global.navigator = global.navigator || {
+  userAgent: "",
+  platform: "",
+};
+
+//Setup the Leaflet namespace and AgentMaps on top of it.
+global.L = global.L || require("leaflet");
+require(path.join("..", "src", "index"));
+
+/**
+ * A model that can be run by the experiment runner, usually exported from its own module.
+ *
+ * @typedef {object} ExperimentModel
+ * @property {function} setup - Given a fresh, headless agentmap with the streets and units set up, and the run's parameters,
+ * create the agents and set the controllers.
+ * @property {function} metrics - Given the agentmap at the end of a run and the run's parameters, return an object of the metrics
+ * to save for that run (e.g. { infected: 20 }).
+ * @property {function} [stop] - Given the agentmap and the run's parameters before each tick, return whether the run should end early.
+ * @property {number} [ticks] - The number of ticks to run for, if not specified when running the experiment.
+ */
+
+/**
+ * Get every combination of parameter values in a grid.
+ *
+ * @param {object} grid - An object mapping each parameter's name to an array of the values to try for it.
+ * @returns {Array<object>} - An array of objects, each mapping every parameter's name to one of its values.
+ */
+function parameterGrid(grid = {}) {
+  let combinations = [{}];
+
+  for (let name in grid) {
+    let values = Array.isArray(grid[name]) ? grid[name] : [grid[name]],
+      extended_combinations = [];
+
+    for (let combination of combinations) {
+      for (let value of values) {
+        let extended_combination = Object.assign({}, combination);
+        extended_combination[name] = value;
+        extended_combinations.push(extended_combination);
+      }
+    }
+
+    combinations = extended_combinations;
+  }
+
+  return combinations;
+}
+
+/**
+ * Read the GeoJSON saved in a file, like the JS files made by Agentmap.downloadStreets and Agentmap.downloadUnits
+ * (of the form "var streets_data = {...};") or a plain JSON file.
+ *
+ * @param {string} file_path - The path of the file.
+ * @returns {object} - The GeoJSON object in the file.
+ */
+function readLayerFile(file_path) {
+  let data = fs.readFileSync(file_path, "utf8"),
+    start = data.indexOf("{"),
+    end = data.lastIndexOf("}");
+
+  return JSON.parse(data.slice(start, end + 1));
+}
+
+/**
+ * Run a model once, headlessly.
+ *
+ * @param {ExperimentModel} model - The model to run.
+ * @param {object} streets - A GeoJSON Feature Collection of an AgentMaps.streets featureGroup.
+ * @param {object} units - A GeoJSON Feature Collection of an AgentMaps.units featureGroup.
+ * @param {object} params - The parameters for this run, passed to the model's functions.
+ * @param {number} seed - The seed for the agentmap's random number generator.
+ * @param {number} ticks - The number of ticks to run for.
+ * @param {object} [agentmap_options] - Any other options for the agentmap, like its clock.
+ * @returns {object} - The number of ticks elapsed and the model's metrics at the end of the run.
+ */
+function runModel(
+  model,
+  streets,
+  units,
+  params,
+  seed,
+  ticks,
+  agentmap_options,
+) {
+  let agentmap = new L.A.Agentmap(
+    null,
+    1,
+    Object.assign({}, agentmap_options, { seed: seed }),
+  );
+  agentmap.buildingify(null, null, {}, {}, units, streets);
+
+  model.setup.call(agentmap, agentmap, params);
+
+  if (typeof model.stop === "function") {
+    agentmap.runUntil(() => model.stop.call(agentmap, agentmap, params), ticks);
+  } else {
+    agentmap.step(ticks);
+  }
+
+  return {
+    ticks: agentmap.state.ticks,
+    metrics: model.metrics.call(agentmap, agentmap, params),
+  };
+}
+
+/**
+ * Run a model for every combination of parameters in a grid, with several seeds for each, and optionally save the results.
+ *
+ * @param {object} options - Options for the experiment.
+ * @param {ExperimentModel|string} options.model - The model to run, or the path of a module exporting it.
+ * @param {object|string} options.streets - A GeoJSON Feature Collection of an AgentMaps.streets featureGroup, or the path of a file containing one.
+ * @param {object|string} options.units - A GeoJSON Feature Collection of an AgentMaps.units featureGroup, or the path of a file containing one.
+ * @param {number} [options.ticks] - The number of ticks to run each simulation for. Defaults to the model's ticks property.
+ * @param {object} [options.grid={}] - An object mapping each parameter's name to an array of the values to try for it.
+ * @param {number|Array<number>} [options.seeds=1] - Either the number of seeds to run each combination with (counting up from options.seed), or an array of the seeds.
+ * @param {number} [options.seed=1] - The first seed, if options.seeds is a number.
+ * @param {object} [options.agentmap_options] - Any other options for each run's agentmap, like its clock.
+ * @param {string} [options.out] - A path to save the results to, as JSON if it ends in ".json" and as CSV otherwise.
+ * @param {function} [options.progress] - A function called after each run with the number of runs completed and the total number of runs.
+ * @returns {Array<object>} - A row for each run, with its run number, seed, parameters, ticks elapsed, and metrics.
+ */
+function runExperiment(options) {
+  let model =
+      typeof options.model === "string"
+        ? require(path.resolve(options.model))
+        : options.model,
+    streets =
+      typeof options.streets === "string"
+        ? readLayerFile(options.streets)
+        : options.streets,
+    units =
+      typeof options.units === "string"
+        ? readLayerFile(options.units)
+        : options.units,
+    ticks = typeof options.ticks === "undefined" ? model.ticks : options.ticks,
+    first_seed = typeof options.seed === "undefined" ? 1 : options.seed,
+    seeds = Array.isArray(options.seeds)
+      ? options.seeds
+      : Array.from(
+          { length: typeof options.seeds === "undefined" ? 1 : options.seeds },
+          (_, i) => first_seed + i,
+        ),
+    combinations = parameterGrid(options.grid),
+    total_runs = combinations.length * seeds.length,
+    rows = [];
+
+  if (
+    typeof model.setup !== "function" ||
+    typeof model.metrics !== "function"
+  ) {
+    throw new Error("The model must have setup and metrics functions.");
+  } else if (!Number.isInteger(ticks) || ticks < 0) {
+    throw new Error("The number of ticks must be a non-negative integer.");
+  }
+
+  for (let params of combinations) {
+    for (let seed of seeds) {
+      let result = runModel(
+        model,
+        streets,
+        units,
+        params,
+        seed,
+        ticks,
+        options.agentmap_options,
+      );
+
+      rows.push(
+        Object.assign(
+          { run: rows.length + 1, seed: seed },
+          params,
+          { ticks: result.ticks },
+          result.metrics,
+        ),
+      );
+
+      if (typeof options.progress === "function") {
+        options.progress(rows.length, total_runs);
+      }
+    }
+  }
+
+  if (typeof options.out === "string") {
+    let contents =
+      path.extname(options.out) === ".json"
+        ? JSON.stringify(rows, null, 2)
+        : L.A.rowsToCSV(rows);
+
+    fs.writeFileSync(options.out, contents);
+  }
+
+  return rows;
+}
+
+exports.parameterGrid = parameterGrid;
+exports.readLayerFile = readLayerFile;
+exports.runModel = runModel;
+exports.runExperiment = runExperiment;
+
+//Run from the command line, e.g.:
+//node experiment.js --model model.js --streets streets_data.js --units units_data.js --ticks 1000 --grid grid.json --seeds 5 --out results.csv
+if (require.main === module) {
+  let argv = optimist.argv,
+    grid = {};
+
+  if (typeof argv["grid"] === "string") {
+    grid = argv["grid"].trim().startsWith("{")
+      ? JSON.parse(argv["grid"])
+      : JSON.parse(fs.readFileSync(path.normalize(argv["grid"]), "utf8"));
+  }
+
+  try {
+    runExperiment({
+      model: path.normalize(argv["model"]),
+      streets: path.normalize(argv["streets"]),
+      units: path.normalize(argv["units"]),
+      ticks: argv["ticks"],
+      grid: grid,
+      seeds: argv["seeds"],
+      seed: argv["seed"],
+      out: typeof argv["out"] === "string" ? argv["out"] : "results.csv",
+      progress: function (completed, total) {
+        process.stdout.write("\rFinished run " + completed + " of " + total);
+        if (completed === total) {
+          process.stdout.write("\n");
+        }
+      },
+    });
+  } catch (error) {
+    console.log("There was an issue running your experiment: " + error);
+    process.exitCode = 1;
+  }
+}